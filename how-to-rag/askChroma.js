@@ -0,0 +1,11 @@
+import { runCli } from "./rag.js";
+import { isMainModule, loadEnv } from "./lib/cli.js";
+
+// Equivalent to "node rag.js ask <question> [options]"
+if (isMainModule(import.meta.url)) {
+  loadEnv();
+  process.exitCode = await runCli(["ask", ...process.argv.slice(2)]);
+}
+
+// Importable like pushToChroma.js and queryChroma.js; the library lives in index.js
+export { askQuestion, createChatModel, NOT_FOUND_ANSWER } from "./index.js";
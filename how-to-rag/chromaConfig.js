@@ -1,7 +1,20 @@
 export const CHROMA_CONFIG = {
   collectionName: "embeddings-collection",
   url: "http://localhost:8000",
+  // hnsw:space is the distance metric new collections are built with:
+  // "l2", "cosine" or "ip". Relevance scores are normalised to 0..1 for each.
+  // hnsw:construction_ef and hnsw:M trade index build time and memory for
+  // recall; like the metric they are fixed when a collection is created.
   collectionMetadata: {
     "hnsw:space": "l2",
+    "hnsw:construction_ef": 200,
+    "hnsw:M": 16,
+  },
+  // Overridden at runtime by EMBEDDING_PROVIDER / EMBEDDING_MODEL.
+  // provider: "openai", "local" (transformers.js/ONNX, offline) or "fake" (deterministic, for tests)
+  // model: null uses the provider's default model
+  embedding: {
+    provider: "openai",
+    model: null,
   },
 };
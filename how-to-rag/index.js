@@ -0,0 +1,101 @@
+export { CHROMA_CONFIG } from "./chromaConfig.js";
+export {
+  ingest,
+  loadContent,
+  splitDocuments,
+  addToChroma,
+  reconstructContentBySource,
+  buildChunkIds,
+} from "./lib/ingest.js";
+export {
+  query,
+  getRelevantChunks,
+  getRelevantDocuments,
+  getContext,
+  getDocument,
+  identifyRelevantSources,
+} from "./lib/query.js";
+export { resolveInputFiles } from "./lib/files.js";
+export {
+  buildWhere,
+  parseWhereExpression,
+  matchesWhere,
+} from "./lib/filters.js";
+export { createVectorStore } from "./lib/vectorStore.js";
+export { createMemoryVectorStore } from "./lib/memoryVectorStore.js";
+export { distanceToScore, DISTANCE_METRICS } from "./lib/scoring.js";
+export {
+  createReranker,
+  maximalMarginalRelevance,
+  RERANKERS,
+} from "./lib/rerank.js";
+export { expandMatches, EXPAND_MODES } from "./lib/expand.js";
+export { buildContext, joinChunks, CONTEXT_ORDERS } from "./lib/context.js";
+export { countTokens, truncateToTokens, loadTokenizer } from "./lib/tokens.js";
+export {
+  createChunker,
+  splitSentences,
+  CHUNKING_STRATEGIES,
+  DEFAULT_CHUNKING_STRATEGY,
+} from "./lib/chunkers.js";
+export { LOADER_NAMES } from "./lib/loaders.js";
+export { buildParents, PARENT_SCOPES } from "./lib/parents.js";
+export { listSources, deleteSource, getStats } from "./lib/sources.js";
+export {
+  listCollections,
+  createCollection,
+  renameCollection,
+  dropCollection,
+} from "./lib/collections.js";
+export {
+  exportSnapshot,
+  importSnapshot,
+  readSnapshotHeader,
+} from "./lib/snapshot.js";
+export {
+  askQuestion,
+  createChatModel,
+  formatCitation,
+  NOT_FOUND_ANSWER,
+  DEFAULT_MIN_RELEVANCE,
+} from "./lib/ask.js";
+export {
+  runChat,
+  chatTurn,
+  rewriteQuestion,
+  createSession,
+  loadTranscript,
+  saveTranscript,
+} from "./lib/chat.js";
+export {
+  loadGoldenSet,
+  evaluateRetrieval,
+  scoreRanking,
+  matchesExpected,
+  DEFAULT_KS,
+} from "./lib/eval.js";
+export {
+  createServer,
+  startServer,
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+} from "./lib/server.js";
+export {
+  createMcpServer,
+  startMcpServer,
+  createChromaStore,
+  createMemoryStore,
+  loadMemoryStore,
+} from "./lib/mcp.js";
+export {
+  loadConfig,
+  configToOptions,
+  describeConfig,
+  findConfigFile,
+  DEFAULT_CONFIG,
+} from "./lib/config.js";
+export {
+  createEmbeddings,
+  describeEmbeddings,
+  FakeEmbeddings,
+} from "./lib/embeddings.js";
@@ -0,0 +1,221 @@
+import { ChatAnthropic } from "@langchain/anthropic";
+import { ChatOpenAI } from "@langchain/openai";
+import { getRelevantChunks } from "./query.js";
+
+export const NOT_FOUND_ANSWER = "not found in the indexed documents";
+
+// Relevance is (1 + cosine) / 2, so unrelated text lands around 0.5; below
+// this the best chunk is too weak to answer from
+export const DEFAULT_MIN_RELEVANCE = 0.6;
+
+const DEFAULT_MODELS = {
+  anthropic: "claude-3-5-sonnet-latest",
+  openai: "gpt-4o-mini",
+};
+
+export const CHAT_PROVIDERS = ["openai", "anthropic", "stub"];
+
+const SYSTEM_PROMPT = `You answer questions using only the numbered context passages provided.
+Cite every claim with the passage number in square brackets, e.g. [1] or [2][3].
+Do not use outside knowledge.
+If the passages do not contain the answer, reply exactly: ${NOT_FOUND_ANSWER}`;
+
+/**
+ * Deterministic chat model for tests and offline runs.
+ * Answers with the first sentence of the top passage and cites it.
+ */
+class StubChatModel {
+  async invoke(messages) {
+    const userMessage = messages[messages.length - 1].content;
+
+    // Follow-up rewriting (see chat.js): prefix the previous question
+    const followUp = userMessage.match(/^Follow-up question: (.+)$/m);
+    if (followUp) {
+      const previous = [...userMessage.matchAll(/^User: (.+)$/gm)].pop();
+      return {
+        content: previous ? `${previous[1]} ${followUp[1]}` : followUp[1],
+      };
+    }
+
+    const match = userMessage.match(/\[1\][^\n]*\n([^\n]+)/);
+    if (!match) {
+      return { content: NOT_FOUND_ANSWER };
+    }
+    const firstSentence = match[1].split(/(?<=[.!?])\s/)[0].trim();
+    return { content: `${firstSentence} [1]` };
+  }
+
+  async *stream(messages) {
+    const { content } = await this.invoke(messages);
+    for (const word of content.match(/\S+\s*/g)) {
+      yield { content: word };
+    }
+  }
+}
+
+/**
+ * Reads the text of a chat model response or stream chunk; some providers
+ * return a list of content blocks instead of a string
+ */
+export function messageText(message) {
+  return typeof message.content === "string"
+    ? message.content
+    : message.content.map((part) => part.text || "").join("");
+}
+
+/**
+ * Creates the chat model used to generate answers
+ * @param provider One of "anthropic", "openai" or "stub"
+ * @param model Optional model name, defaults to a sensible model for the provider
+ * @returns A chat model exposing invoke(messages)
+ */
+export function createChatModel(provider = "openai", model) {
+  switch (provider) {
+    case "anthropic":
+      return new ChatAnthropic({
+        model: model || DEFAULT_MODELS.anthropic,
+        temperature: 0,
+      });
+    case "openai":
+      return new ChatOpenAI({
+        model: model || DEFAULT_MODELS.openai,
+        temperature: 0,
+      });
+    case "stub":
+      return new StubChatModel();
+    default:
+      throw new Error(
+        `Unknown chat model provider "${provider}". Use ${CHAT_PROVIDERS.join(
+          ", "
+        )}.`
+      );
+  }
+}
+
+/**
+ * Formats retrieved chunks as numbered passages for the prompt
+ * @param chunks Chunks returned by getRelevantChunks
+ * @returns Context string with one [n] header per passage
+ */
+function formatContext(chunks) {
+  return chunks
+    .map((chunk, index) => {
+      const location = [
+        chunk.page != null ? `page ${chunk.page}` : null,
+        chunk.chunkId != null ? `chunk ${chunk.chunkId}` : null,
+      ]
+        .filter(Boolean)
+        .join(", ");
+      return `[${index + 1}] ${chunk.source}${
+        location ? ` (${location})` : ""
+      }\n${chunk.content}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Formats a citation as "[n] source (page p, chunk c)", prefixed with the
+ * collection when the answer drew on several
+ * @param citation Citation returned by askQuestion
+ * @returns One-line description of the cited passage
+ */
+export function formatCitation(citation) {
+  const location = [
+    citation.page != null ? `page ${citation.page}` : null,
+    citation.chunkId != null ? `chunk ${citation.chunkId}` : null,
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const source = citation.collection
+    ? `${citation.collection}: ${citation.source}`
+    : citation.source;
+  return `[${citation.number}] ${source}${location ? ` (${location})` : ""}`;
+}
+
+/**
+ * Answers a question from the indexed documents with numbered citations
+ * @param question The question to answer
+ * @param options.nResults Number of chunks to retrieve as context
+ * @param options.minRelevance Minimum relevance score of the best chunk; below it the question is refused (default: DEFAULT_MIN_RELEVANCE, 0 to always answer)
+ * @param options.minScore Drop retrieved chunks scoring below this relevance, so they never reach the prompt
+ * @param options.chatModel Chat model to use, defaults to createChatModel(options.provider, options.model)
+ * @param options.retrieve Retrieval function, defaults to getRelevantChunks
+ * @param options.onToken Called with each piece of the answer as the model streams it
+ * @param options.url, options.collectionName, options.embedding Overrides for CHROMA_CONFIG, passed to retrieve
+ * @returns Object with answer text and the citations it references
+ */
+export async function askQuestion(question, options = {}) {
+  const {
+    nResults = 5,
+    minRelevance = DEFAULT_MIN_RELEVANCE,
+    provider,
+    model,
+    retrieve = getRelevantChunks,
+  } = options;
+
+  const chunks = await retrieve(question, { ...options, nResults });
+  const bestRelevance = Math.max(
+    ...chunks.map((chunk) => chunk.relevanceScore)
+  );
+
+  if (chunks.length === 0 || bestRelevance < minRelevance) {
+    console.log(
+      chunks.length === 0
+        ? "No chunks retrieved, refusing to answer"
+        : `Best relevance ${bestRelevance.toFixed(
+            3
+          )} is below ${minRelevance}, refusing to answer`
+    );
+    options.onToken?.(NOT_FOUND_ANSWER);
+    return { answer: NOT_FOUND_ANSWER, citations: [] };
+  }
+
+  const chatModel = options.chatModel || createChatModel(provider, model);
+  const messages = [
+    { role: "system", content: SYSTEM_PROMPT },
+    {
+      role: "user",
+      content: `Context:\n\n${formatContext(chunks)}\n\nQuestion: ${question}`,
+    },
+  ];
+
+  let answer = "";
+  if (options.onToken && chatModel.stream) {
+    for await (const chunk of await chatModel.stream(messages)) {
+      const text = messageText(chunk);
+      if (text) {
+        answer += text;
+        options.onToken(text);
+      }
+    }
+  } else {
+    answer = messageText(await chatModel.invoke(messages));
+    options.onToken?.(answer);
+  }
+  answer = answer.trim();
+
+  if (answer.toLowerCase().includes(NOT_FOUND_ANSWER)) {
+    return { answer: NOT_FOUND_ANSWER, citations: [] };
+  }
+
+  // Keep only the passages the model actually cited, in citation order
+  const citedNumbers = [
+    ...new Set(
+      [...answer.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1]))
+    ),
+  ].filter((number) => number >= 1 && number <= chunks.length);
+
+  const citations = citedNumbers.map((number) => {
+    const chunk = chunks[number - 1];
+    return {
+      number,
+      ...(chunk.collection ? { collection: chunk.collection } : {}),
+      source: chunk.source,
+      page: chunk.page,
+      chunkId: chunk.chunkId,
+      relevanceScore: chunk.relevanceScore,
+    };
+  });
+
+  return { answer, citations };
+}
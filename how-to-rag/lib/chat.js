@@ -0,0 +1,240 @@
+import fs from "fs/promises";
+import readline from "node:readline";
+import {
+  askQuestion,
+  createChatModel,
+  formatCitation,
+  messageText,
+} from "./ask.js";
+
+const TRANSCRIPT_VERSION = 1;
+
+// Earlier turns shown to the model when rewriting a follow-up
+const REWRITE_HISTORY_TURNS = 4;
+
+const REWRITE_PROMPT = `Rewrite the user's follow-up question as a standalone question that can be understood without the conversation.
+Resolve references such as "it", "that one" or "what about hotels?" from the earlier turns and keep the user's wording otherwise.
+If the question already stands on its own, return it unchanged.
+Reply with only the rewritten question.`;
+
+const HELP = `Commands:
+  /sources       Show the passages cited by the last answer
+  /reset         Forget the conversation and start a new session
+  /save <file>   Save the transcript; later turns are saved to it too
+  /help          Show this help
+  /exit          Leave the chat (or press Ctrl+D)`;
+
+/**
+ * Starts an empty chat session
+ * @param {Object} [options] - collectionName recorded in the transcript
+ * @returns {Object} - { version, collection, createdAt, turns }
+ */
+export function createSession(options = {}) {
+  return {
+    version: TRANSCRIPT_VERSION,
+    collection: options.collectionName ?? null,
+    createdAt: new Date().toISOString(),
+    turns: [],
+  };
+}
+
+/**
+ * Reads a transcript written by saveTranscript
+ * @param {string} file - Transcript path
+ * @returns {Promise<Object>} - The session
+ */
+export async function loadTranscript(file) {
+  let session;
+  try {
+    session = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read transcript ${file}: ${error.message}`);
+  }
+  if (session.version !== TRANSCRIPT_VERSION || !Array.isArray(session.turns)) {
+    throw new Error(`${file} is not a chat transcript`);
+  }
+  return session;
+}
+
+/**
+ * Writes a session as a JSON transcript that can be resumed later
+ * @param {Object} session - Session from createSession or loadTranscript
+ * @param {string} file - Transcript path
+ */
+export async function saveTranscript(session, file) {
+  await fs.writeFile(
+    file,
+    JSON.stringify({ ...session, updatedAt: new Date().toISOString() }, null, 2)
+  );
+}
+
+/**
+ * Rewrites a follow-up question into a standalone one using the conversation
+ * so far, so retrieval sees what the question is actually about
+ * @param {string} question - The user's latest question
+ * @param {Array<Object>} turns - Earlier turns of the session
+ * @param {Object} chatModel - Chat model exposing invoke(messages)
+ * @returns {Promise<string>} - Standalone question; the question itself when there is no history
+ */
+export async function rewriteQuestion(question, turns, chatModel) {
+  if (turns.length === 0) return question;
+
+  const conversation = turns
+    .slice(-REWRITE_HISTORY_TURNS)
+    .map((turn) => `User: ${turn.question}\nAssistant: ${turn.answer}`)
+    .join("\n");
+  const response = await chatModel.invoke([
+    { role: "system", content: REWRITE_PROMPT },
+    {
+      role: "user",
+      content: `Conversation:\n${conversation}\n\nFollow-up question: ${question}`,
+    },
+  ]);
+  return messageText(response).trim() || question;
+}
+
+/**
+ * Answers one chat message: rewrites it against the session history,
+ * answers the standalone question with citations and records the turn
+ * @param {Object} session - Session to extend
+ * @param {string} question - The user's message
+ * @param {Object} options - askQuestion options plus chatModel
+ * @returns {Promise<Object>} - { question, standaloneQuestion, answer, citations, askedAt }
+ */
+export async function chatTurn(session, question, options) {
+  const chatModel =
+    options.chatModel || createChatModel(options.provider, options.model);
+
+  let standaloneQuestion = question;
+  try {
+    standaloneQuestion = await rewriteQuestion(
+      question,
+      session.turns,
+      chatModel
+    );
+  } catch (error) {
+    console.warn(`Could not rewrite the question, using it as asked: ${error}`);
+  }
+
+  const { answer, citations } = await askQuestion(standaloneQuestion, {
+    ...options,
+    chatModel,
+  });
+  const turn = {
+    question,
+    standaloneQuestion,
+    answer,
+    citations,
+    askedAt: new Date().toISOString(),
+  };
+  session.turns.push(turn);
+  return turn;
+}
+
+/**
+ * Runs the interactive chat until the user exits or input ends
+ * @param {Object} [options] - askQuestion options, plus:
+ * @param {string} [options.resume] - Transcript to continue; later turns are saved back to it
+ * @param {Object} [options.input] - Readable stream (default: stdin)
+ * @param {Object} [options.output] - Writable stream (default: stdout)
+ * @returns {Promise<Object>} - The session at exit
+ */
+export async function runChat(options = {}) {
+  const { input = process.stdin, output = process.stdout } = options;
+  const print = (text = "") => output.write(`${text}\n`);
+
+  let session;
+  let transcriptFile = options.resume;
+  if (transcriptFile) {
+    session = await loadTranscript(transcriptFile);
+    print(`Resumed ${session.turns.length} turns from ${transcriptFile}`);
+    const last = session.turns[session.turns.length - 1];
+    if (last) print(`Last question: ${last.question}`);
+  } else {
+    session = createSession(options);
+  }
+
+  // A resumed session keeps searching the collection it was started on
+  const askOptions = {
+    ...options,
+    collectionName: options.collectionName ?? session.collection ?? undefined,
+  };
+  if (askOptions.chatModel === undefined) {
+    askOptions.chatModel = createChatModel(options.provider, options.model);
+  }
+
+  print('Ask about the indexed documents. Type "/help" for commands.');
+  const rl = readline.createInterface({ input, output, prompt: "> " });
+  rl.prompt();
+
+  for await (const line of rl) {
+    const text = line.trim();
+    if (!text) {
+      rl.prompt();
+      continue;
+    }
+    const [command, ...args] = text.split(/\s+/);
+
+    if (command === "/exit" || command === "/quit") {
+      break;
+    } else if (command === "/help") {
+      print(HELP);
+    } else if (command === "/sources") {
+      const last = session.turns[session.turns.length - 1];
+      if (!last) {
+        print("Nothing asked yet");
+      } else if (last.citations.length === 0) {
+        print("The last answer cited no passages");
+      } else {
+        last.citations.forEach((citation) =>
+          print(
+            `${formatCitation(citation)} relevance ${citation.relevanceScore.toFixed(3)}`
+          )
+        );
+      }
+    } else if (command === "/reset") {
+      session = createSession(askOptions);
+      if (transcriptFile) {
+        print(`Started a new session; ${transcriptFile} is left as it was`);
+      } else {
+        print("Started a new session");
+      }
+      transcriptFile = undefined;
+    } else if (command === "/save") {
+      const file = args.join(" ");
+      if (!file) {
+        print("Usage: /save <file>");
+      } else {
+        try {
+          await saveTranscript(session, file);
+          transcriptFile = file;
+          print(`Saved ${session.turns.length} turns to ${file}`);
+        } catch (error) {
+          print(`Could not save ${file}: ${error.message}`);
+        }
+      }
+    } else if (command.startsWith("/")) {
+      print(`Unknown command ${command}. Type "/help" for commands.`);
+    } else {
+      try {
+        const turn = await chatTurn(session, text, {
+          ...askOptions,
+          onToken: (token) => output.write(token),
+        });
+        print();
+        if (turn.standaloneQuestion !== text) {
+          print(`(searched for: ${turn.standaloneQuestion})`);
+        }
+        turn.citations.forEach((citation) => print(formatCitation(citation)));
+        if (transcriptFile) await saveTranscript(session, transcriptFile);
+      } catch (error) {
+        print(`\nError: ${error.message}`);
+      }
+    }
+    print();
+    rl.prompt();
+  }
+
+  rl.close();
+  return session;
+}
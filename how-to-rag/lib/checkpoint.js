@@ -0,0 +1,93 @@
+import fs from "fs/promises";
+import path from "path";
+import { createHash } from "crypto";
+import { collectionFilePath } from "./keywordIndex.js";
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Path of the ingestion checkpoint of a collection, next to its keyword index
+ * @param {Object} options - Resolved options
+ * @returns {string}
+ */
+export function checkpointPath(options) {
+  return collectionFilePath(options, "checkpoint.json");
+}
+
+/**
+ * Identifies an ingestion by the chunks it writes, so a checkpoint is only
+ * picked up by a run over the same content
+ * @param {Array<string>} chunkKeys - One "id:content_hash" entry per chunk
+ * @returns {string}
+ */
+export function ingestionFingerprint(chunkKeys) {
+  return createHash("sha256").update(chunkKeys.join("\n")).digest("hex");
+}
+
+async function readCheckpoint(options) {
+  try {
+    const checkpoint = JSON.parse(
+      await fs.readFile(checkpointPath(options), "utf8")
+    );
+    return checkpoint.version === CHECKPOINT_VERSION ? checkpoint : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Opens the checkpoint of an ingestion, resuming the one left by an
+ * interrupted run over the same chunks. Completed batches are recorded as
+ * they finish; the file is removed once every batch is stored.
+ * @param {Object} options - Resolved options
+ * @param {string} fingerprint - Output of ingestionFingerprint
+ * @returns {Promise<Object>} - { resumed, embedded: Set of chunk IDs, recordBatch(ids), clear() }
+ */
+export async function openCheckpoint(options, fingerprint) {
+  const file = checkpointPath(options);
+  const previous = await readCheckpoint(options);
+  const resumed = previous?.fingerprint === fingerprint;
+  if (previous && !resumed) {
+    console.log("Discarding the checkpoint of a different ingestion");
+  }
+
+  const state = {
+    version: CHECKPOINT_VERSION,
+    fingerprint,
+    startedAt: resumed ? previous.startedAt : new Date().toISOString(),
+    batches: resumed ? previous.batches : 0,
+    embedded: resumed ? previous.embedded : [],
+  };
+  const embedded = new Set(state.embedded);
+
+  // Batches finish concurrently; chain the writes so they land in order
+  let writes = Promise.resolve();
+  const write = () => {
+    writes = writes.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(
+        file,
+        JSON.stringify({
+          ...state,
+          embedded: [...embedded],
+          updatedAt: new Date().toISOString(),
+        })
+      );
+    });
+    return writes;
+  };
+
+  return {
+    resumed,
+    embedded,
+    recordBatch(ids) {
+      ids.forEach((id) => embedded.add(id));
+      state.batches += 1;
+      return write();
+    },
+    async clear() {
+      await writes;
+      await fs.rm(file, { force: true });
+    },
+  };
+}
@@ -0,0 +1,96 @@
+import { CHROMA_CONFIG } from "../chromaConfig.js";
+import { assertCompatibleEmbeddings } from "./embeddings.js";
+import { assertDistanceMetric, getDistanceMetric } from "./scoring.js";
+import { createVectorStore } from "./vectorStore.js";
+
+/**
+ * Fills in any connection settings the caller left out from CHROMA_CONFIG
+ * @param {Object} options - Caller options (url, collectionName, collectionMetadata, distance, embedding, ...)
+ * @returns {Object} - Options with url, collectionName and collectionMetadata always set
+ */
+export function resolveOptions(options = {}) {
+  const collectionMetadata = {
+    ...(options.collectionMetadata || CHROMA_CONFIG.collectionMetadata),
+  };
+  if (options.distance) {
+    collectionMetadata["hnsw:space"] = assertDistanceMetric(options.distance);
+  }
+
+  return {
+    ...options,
+    url: options.url || CHROMA_CONFIG.url,
+    collectionName: options.collectionName || CHROMA_CONFIG.collectionName,
+    collectionMetadata,
+  };
+}
+
+/**
+ * Creates a vector store client for the resolved options: ChromaDB, or the
+ * in-process store for memory: and file: URLs
+ * @param {Object} options - Output of resolveOptions
+ * @returns {Object} - Store client, see createVectorStore
+ */
+export function createClient(options) {
+  return createVectorStore(options);
+}
+
+/**
+ * Opens the collection for writing, creating it on first use.
+ * New collections record the embedding model that builds them; existing ones
+ * must have been built by the same model.
+ * @param {Object} options - Output of resolveOptions
+ * @param {Object} embeddingMetadata - Output of describeEmbeddings
+ * @returns {Promise<Object>} - ChromaDB collection
+ */
+export async function openCollection(options, embeddingMetadata) {
+  const client = createClient(options);
+
+  // Reuse the collection across runs so multiple sources can live side by side
+  console.log(`Opening collection: ${options.collectionName}`);
+  const embeddingFunction = {
+    dimensionality: embeddingMetadata.embedding_dimension,
+  };
+
+  let collection;
+  try {
+    collection = await client.getCollection({
+      name: options.collectionName,
+      embeddingFunction,
+    });
+  } catch (e) {
+    console.log("Creating new collection");
+    return client.createCollection({
+      name: options.collectionName,
+      metadata: { ...options.collectionMetadata, ...embeddingMetadata },
+      embeddingFunction,
+    });
+  }
+
+  assertCompatibleEmbeddings(
+    collection.metadata,
+    embeddingMetadata,
+    options.collectionName
+  );
+
+  // The metric is fixed when the index is built; a different setting only
+  // applies to collections created after the change
+  const requested = options.collectionMetadata?.["hnsw:space"];
+  if (requested && requested !== getDistanceMetric(collection)) {
+    console.warn(
+      `Collection "${options.collectionName}" uses ${getDistanceMetric(
+        collection
+      )} distance, ignoring requested ${requested}. Re-create the collection to change it.`
+    );
+  }
+  return collection;
+}
+
+/**
+ * Opens an existing collection for reading
+ * @param {Object} options - Output of resolveOptions
+ * @returns {Promise<Object>} - ChromaDB collection
+ */
+export async function getCollection(options) {
+  const client = createClient(options);
+  return client.getCollection({ name: options.collectionName });
+}
@@ -0,0 +1,370 @@
+import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
+import { isCodeFence, splitMarkdownHeadings } from "./markdown.js";
+
+/**
+ * Ways a document can be cut into chunks:
+ *   recursive  paragraphs, then lines, then words, sized in characters
+ *   token      the same cuts, sized in tokens of the embedding model
+ *   sentence   whole sentences packed up to the size, ending on a paragraph where possible
+ *   semantic   sentences grouped where the topic holds, split where neighbouring
+ *              sentences' embeddings stop looking alike
+ *   markdown   heading sections, then blocks (paragraphs, lists, fenced code),
+ *              with the heading repeated on every chunk of a section
+ */
+export const CHUNKING_STRATEGIES = [
+  "recursive",
+  "token",
+  "sentence",
+  "semantic",
+  "markdown",
+];
+
+export const DEFAULT_CHUNKING_STRATEGY = "recursive";
+
+// Neighbouring sentences whose embedding distance is above this percentile
+// of the document's distances start a new chunk
+const SEMANTIC_BREAKPOINT_PERCENTILE = 90;
+
+const segmenter = new Intl.Segmenter("en", { granularity: "sentence" });
+
+/**
+ * Splits text into sentences that concatenate back to the original. A single
+ * line break (as PDFs put inside paragraphs) doesn't end a sentence; a blank
+ * line ends both the sentence and the paragraph.
+ * @param {string} text
+ * @returns {Array<Object>} - [{ text, paragraphEnd }]
+ */
+export function splitSentences(text) {
+  // Same length as the text, so segment offsets apply to both
+  const joined = text.replace(/(?<!\n[ \t]*)\n(?![ \t]*\n)/g, " ");
+  const sentences = [];
+  for (const { segment, index } of segmenter.segment(joined)) {
+    const original = text.slice(index, index + segment.length);
+    const previous = sentences[sentences.length - 1];
+    // Whitespace between paragraphs belongs to the sentence before it
+    if (previous && !segment.trim()) {
+      previous.text += original;
+      previous.paragraphEnd = true;
+      continue;
+    }
+    sentences.push({ text: original, paragraphEnd: /\n\s*$/.test(segment) });
+  }
+  if (sentences.length > 0) sentences[sentences.length - 1].paragraphEnd = true;
+  return sentences;
+}
+
+/**
+ * Packs consecutive units (sentences or blocks) into chunks of at most
+ * chunkSize. A full chunk ends on its last paragraph boundary, if it crosses
+ * one; otherwise the next chunk starts with the closing units of
+ * the previous one up to chunkOverlap, unless it starts a new paragraph.
+ * @param {Array<Object>} units - [{ text, paragraphEnd }] covering the text in order
+ * @param {Object} options - chunkSize, chunkOverlap and length(text)
+ * @returns {Array<string>} - Chunk texts
+ */
+function packUnits(units, { chunkSize, chunkOverlap, length }) {
+  const chunks = [];
+  let current = [];
+  let carried = 0;
+  const sizeOf = (list) => length(list.map((unit) => unit.text).join(""));
+
+  const emit = () => {
+    let end = current.length;
+    for (let i = current.length - 1; i > carried; i--) {
+      if (current[i - 1].paragraphEnd) {
+        end = i;
+        break;
+      }
+    }
+    chunks.push(current.slice(0, end));
+    if (end < current.length) {
+      current = current.slice(end);
+      carried = 0;
+      return;
+    }
+    const overlap = [];
+    if (!current[current.length - 1].paragraphEnd) {
+      for (let i = current.length - 1; i > 0; i--) {
+        if (sizeOf([current[i], ...overlap]) > chunkOverlap) break;
+        overlap.unshift(current[i]);
+        if (current[i - 1].paragraphEnd) break;
+      }
+    }
+    current = overlap;
+    carried = overlap.length;
+  };
+
+  units.forEach((unit) => {
+    while (current.length > carried && sizeOf([...current, unit]) > chunkSize) {
+      emit();
+    }
+    if (carried > 0 && sizeOf([...current, unit]) > chunkSize) {
+      current = [];
+      carried = 0;
+    }
+    current.push(unit);
+  });
+  if (current.length > carried) chunks.push(current);
+
+  return chunks
+    .map((chunk) =>
+      chunk
+        .map((unit) => unit.text)
+        .join("")
+        .trim()
+    )
+    .filter(Boolean);
+}
+
+/**
+ * Cuts units longer than chunkSize so packUnits only ever sees units that
+ * fit: blocks (marked block) into sentences, sentences and code with the
+ * fallback splitter
+ */
+async function fitUnits(units, packing) {
+  const { chunkSize, length, fallback } = packing;
+  const fitted = [];
+  for (const unit of units) {
+    if (length(unit.text) <= chunkSize) {
+      fitted.push(unit);
+      continue;
+    }
+    if (unit.block && !isCodeFence(unit.text)) {
+      const sentences = splitSentences(unit.text);
+      sentences[sentences.length - 1].paragraphEnd = unit.paragraphEnd;
+      fitted.push(...(await fitUnits(sentences, packing)));
+      continue;
+    }
+    const pieces = await fallback.splitText(unit.text);
+    const trailing = unit.text.match(/\s*$/)[0] || " ";
+    pieces.forEach((piece, index) => {
+      const last = index === pieces.length - 1;
+      fitted.push({
+        text: `${piece}${last ? trailing : " "}`,
+        paragraphEnd: last && unit.paragraphEnd,
+      });
+    });
+  }
+  return fitted;
+}
+
+function cosineDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] ** 2;
+    normB += b[i] ** 2;
+  }
+  return normA === 0 || normB === 0 ? 1 : 1 - dot / Math.sqrt(normA * normB);
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[
+    Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))
+  ];
+}
+
+/**
+ * Finds the sentences after which the topic changes: each sentence is
+ * embedded together with its neighbours, and a break falls where the distance
+ * between consecutive windows is unusually large for the document
+ * @returns {Promise<Set<number>>} - Indexes of the sentences that end a group
+ */
+async function findSemanticBreaks(sentences, embeddings) {
+  if (sentences.length < 3) return new Set();
+  const windows = sentences.map((_, index) =>
+    sentences
+      .slice(Math.max(0, index - 1), index + 2)
+      .map((sentence) => sentence.text.trim())
+      .join(" ")
+  );
+  const vectors = await embeddings.embedDocuments(windows);
+  const distances = vectors
+    .slice(1)
+    .map((vector, index) => cosineDistance(vectors[index], vector));
+  const threshold = percentile(distances, SEMANTIC_BREAKPOINT_PERCENTILE);
+  return new Set(
+    distances
+      .map((distance, index) => (distance > threshold ? index : -1))
+      .filter((index) => index >= 0)
+  );
+}
+
+/**
+ * Splits Markdown into heading sections and each section into blocks
+ * separated by blank lines; fenced code blocks stay whole
+ * @param {string} text
+ * @returns {Array<Object>} - [{ heading, headingPath, blocks: [{ text, paragraphEnd }] }]
+ */
+function splitMarkdownSections(text) {
+  return splitMarkdownHeadings(text)
+    .map(({ heading, headingPath, lines }) => {
+      const blocks = [];
+      let block = "";
+
+      const endBlock = () => {
+        if (block.trim()) {
+          blocks.push({ text: block, paragraphEnd: true, block: true });
+        } else if (block && blocks.length > 0) {
+          blocks[blocks.length - 1].text += block;
+        }
+        block = "";
+      };
+
+      lines.forEach((line, index) => {
+        if (index === 0 && heading) {
+          // The heading stays in the same chunk as the text under it
+          blocks.push({ text: line.text, paragraphEnd: false });
+          return;
+        }
+        block += line.text;
+        if (!line.inFence && !line.text.trim()) endBlock();
+      });
+      endBlock();
+      return { heading, headingPath, blocks };
+    })
+    .filter((section) => section.blocks.length > 0);
+}
+
+/**
+ * Creates the chunker for one strategy
+ * @param {string} strategy - One of CHUNKING_STRATEGIES
+ * @param {Object} options
+ * @param {number} options.chunkSize - Maximum chunk length, in tokens for "token" and characters otherwise
+ * @param {number} options.chunkOverlap - Length neighbouring chunks share
+ * @param {Object} [options.tokenizer] - From loadTokenizer; required by "token"
+ * @param {Object} [options.embeddings] - Embedder; required by "semantic"
+ * @returns {Object} - { strategy, chunkSize, length(text), splitDocument(document) }, where splitDocument resolves to chunk documents carrying the document's metadata
+ */
+export function createChunker(strategy, options) {
+  if (!CHUNKING_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown chunking strategy "${strategy}". Use one of: ${CHUNKING_STRATEGIES.join(
+        ", "
+      )}`
+    );
+  }
+  const { tokenizer, embeddings } = options;
+  let { chunkSize, chunkOverlap } = options;
+
+  let length = (text) => text.length;
+  if (strategy === "token") {
+    if (!tokenizer) throw new Error('The "token" strategy needs a tokenizer');
+    length = (text) => tokenizer.count(text);
+    if (tokenizer.maxTokens && chunkSize > tokenizer.maxTokens) {
+      console.warn(
+        `Chunk size ${chunkSize} exceeds the ${tokenizer.maxTokens}-token limit of the embedding model; using ${tokenizer.maxTokens}`
+      );
+      chunkSize = tokenizer.maxTokens;
+      chunkOverlap = Math.min(chunkOverlap, Math.floor(chunkSize / 4));
+    }
+  }
+  if (strategy === "semantic" && !embeddings) {
+    throw new Error('The "semantic" strategy needs an embedder');
+  }
+
+  const textSplitter = new RecursiveCharacterTextSplitter({
+    chunkSize,
+    chunkOverlap,
+    lengthFunction: length,
+  });
+  const markdownSplitter = RecursiveCharacterTextSplitter.fromLanguage(
+    "markdown",
+    { chunkSize, chunkOverlap, lengthFunction: length }
+  );
+  const packingFor = (size) => ({
+    chunkSize: size,
+    chunkOverlap,
+    length,
+    // Cuts single sentences or blocks that are too long on their own
+    fallback: new RecursiveCharacterTextSplitter({
+      chunkSize: size,
+      chunkOverlap: 0,
+      lengthFunction: length,
+    }),
+  });
+  const packing = packingFor(chunkSize);
+
+  const splitText = async (text, loader) => {
+    switch (strategy) {
+      case "recursive":
+      case "token":
+        return (
+          loader === "markdown" ? markdownSplitter : textSplitter
+        ).splitText(text);
+      case "sentence":
+        return packUnits(
+          await fitUnits(splitSentences(text), packing),
+          packing
+        );
+      case "semantic": {
+        const sentences = splitSentences(text);
+        const breaks = await findSemanticBreaks(sentences, embeddings);
+        const groups = [[]];
+        sentences.forEach((sentence, index) => {
+          groups[groups.length - 1].push(sentence);
+          if (breaks.has(index)) groups.push([]);
+        });
+        const chunks = [];
+        for (const group of groups) {
+          chunks.push(...packUnits(await fitUnits(group, packing), packing));
+        }
+        return chunks;
+      }
+    }
+  };
+
+  const splitMarkdown = async (document) => {
+    const chunks = [];
+    for (const section of splitMarkdownSections(document.pageContent)) {
+      let texts = packUnits(await fitUnits(section.blocks, packing), packing);
+      // Later chunks of a section repeat its heading for context, so a section
+      // that takes several chunks is packed leaving room for it. A heading
+      // taking half the chunk size or more is not repeated.
+      const prefix = section.heading ? `${section.heading}\n\n` : "";
+      const repeatHeading =
+        texts.length > 1 && prefix && length(prefix) < chunkSize / 2;
+      if (repeatHeading) {
+        const reduced = packingFor(chunkSize - length(prefix));
+        texts = packUnits(await fitUnits(section.blocks, reduced), reduced);
+      }
+      texts.forEach((text, index) => {
+        const content =
+          repeatHeading && index > 0 && !text.startsWith(section.heading)
+            ? `${prefix}${text}`
+            : text;
+        chunks.push({
+          pageContent: content,
+          metadata: {
+            ...document.metadata,
+            ...(!document.metadata.heading_path &&
+              section.headingPath.length > 0 && {
+                heading_path: section.headingPath.join(" > "),
+              }),
+          },
+        });
+      });
+    }
+    return chunks;
+  };
+
+  return {
+    strategy,
+    chunkSize,
+    length,
+    splitDocument: async (document) => {
+      if (strategy === "markdown") return splitMarkdown(document);
+      const texts = await splitText(
+        document.pageContent,
+        document.metadata.loader
+      );
+      return texts.map((text) => ({
+        pageContent: text,
+        metadata: { ...document.metadata },
+      }));
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+/**
+ * Tells whether a module is the script Node was started with, so CLIs can be
+ * imported for their exports without running
+ * @param {string} moduleUrl - import.meta.url of the calling module
+ * @returns {boolean}
+ */
+export function isMainModule(moduleUrl) {
+  if (!process.argv[1]) return false;
+  try {
+    return (
+      fs.realpathSync(process.argv[1]) ===
+      fs.realpathSync(fileURLToPath(moduleUrl))
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Loads environment variables from the .env file next to the CLI scripts
+ */
+export function loadEnv() {
+  const projectDir = path.resolve(
+    path.dirname(fileURLToPath(import.meta.url)),
+    ".."
+  );
+  dotenv.config({ path: path.resolve(projectDir, ".env") });
+}
@@ -0,0 +1,142 @@
+import fs from "fs/promises";
+import { resolveOptions, createClient, openCollection } from "./chroma.js";
+import { createEmbeddings, describeEmbeddings } from "./embeddings.js";
+import { collectionFilePath } from "./keywordIndex.js";
+import { isParentCollection, parentCollectionName } from "./parents.js";
+import { getDistanceMetric } from "./scoring.js";
+
+// Files kept next to a collection under .rag-index, which follow it on rename
+const COLLECTION_FILES = ["bm25.json", "checkpoint.json"];
+
+function assertChunkCollectionName(name) {
+  if (isParentCollection(name)) {
+    throw new Error(
+      `"${name}" is reserved for parent records; pick another name`
+    );
+  }
+}
+
+/**
+ * Lists the chunk collections on the server, leaving out the parent stores
+ * that sit beside them
+ * @param {Object} [options] - url override
+ * @returns {Promise<Array>} - [{ name, chunks, distance, embeddingProvider, embeddingModel, embeddingDimension }] sorted by name
+ */
+export async function listCollections(options = {}) {
+  options = resolveOptions(options);
+  const client = createClient(options);
+  const names = (await client.listCollections())
+    .filter((name) => !isParentCollection(name))
+    .sort((a, b) => a.localeCompare(b));
+
+  const collections = [];
+  for (const name of names) {
+    const collection = await client.getCollection({ name });
+    const metadata = collection.metadata || {};
+    collections.push({
+      name,
+      chunks: await collection.count(),
+      distance: getDistanceMetric(collection),
+      embeddingProvider: metadata.embedding_provider || null,
+      embeddingModel: metadata.embedding_model || null,
+      embeddingDimension: metadata.embedding_dimension || null,
+    });
+  }
+  return collections;
+}
+
+/**
+ * Creates an empty collection for the current embedding model, so later
+ * ingests and queries with another model are refused
+ * @param {string} name - Collection name
+ * @param {Object} [options] - url, embedding, distance and collectionMetadata overrides
+ * @returns {Promise<Object>} - { name, distance, embeddingModel, embeddingDimension }
+ */
+export async function createCollection(name, options = {}) {
+  assertChunkCollectionName(name);
+  options = resolveOptions({ ...options, collectionName: name });
+  const client = createClient(options);
+  if ((await client.listCollections()).includes(name)) {
+    throw new Error(`Collection "${name}" already exists`);
+  }
+
+  const embeddingMetadata = await describeEmbeddings(
+    createEmbeddings(options.embedding)
+  );
+  const collection = await openCollection(options, embeddingMetadata);
+  return {
+    name,
+    distance: getDistanceMetric(collection),
+    embeddingModel: embeddingMetadata.embedding_model,
+    embeddingDimension: embeddingMetadata.embedding_dimension,
+  };
+}
+
+/**
+ * Renames a collection together with its parent records, keyword index and
+ * ingestion checkpoint
+ * @param {string} from - Current name
+ * @param {string} to - New name, which must not be taken
+ * @param {Object} [options] - url override
+ */
+export async function renameCollection(from, to, options = {}) {
+  options = resolveOptions(options);
+  assertChunkCollectionName(to);
+  const client = createClient(options);
+  const names = await client.listCollections();
+  if (!names.includes(from) || isParentCollection(from)) {
+    throw new Error(`Collection "${from}" does not exist`);
+  }
+  if (names.includes(to)) {
+    throw new Error(`Collection "${to}" already exists`);
+  }
+
+  const collection = await client.getCollection({ name: from });
+  await collection.modify({ name: to });
+  if (names.includes(parentCollectionName(from))) {
+    const parents = await client.getCollection({
+      name: parentCollectionName(from),
+    });
+    await parents.modify({
+      name: parentCollectionName(to),
+      metadata: { ...parents.metadata, parent_of: to },
+    });
+  }
+
+  for (const extension of COLLECTION_FILES) {
+    await fs
+      .rename(
+        collectionFilePath({ ...options, collectionName: from }, extension),
+        collectionFilePath({ ...options, collectionName: to }, extension)
+      )
+      .catch((error) => {
+        if (error.code !== "ENOENT") throw error;
+      });
+  }
+}
+
+/**
+ * Deletes a collection with its parent records, keyword index and
+ * ingestion checkpoint
+ * @param {string} name - Collection name
+ * @param {Object} [options] - url override
+ * @returns {Promise<number>} - Number of chunks the collection held
+ */
+export async function dropCollection(name, options = {}) {
+  options = resolveOptions({ ...options, collectionName: name });
+  const client = createClient(options);
+  const names = await client.listCollections();
+  if (!names.includes(name) || isParentCollection(name)) {
+    throw new Error(`Collection "${name}" does not exist`);
+  }
+
+  const chunks = await (await client.getCollection({ name })).count();
+  await client.deleteCollection({ name });
+  if (names.includes(parentCollectionName(name))) {
+    await client.deleteCollection({ name: parentCollectionName(name) });
+  }
+  for (const extension of COLLECTION_FILES) {
+    await fs.rm(collectionFilePath(options, extension), { force: true });
+  }
+  return chunks;
+}
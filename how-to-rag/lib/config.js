@@ -0,0 +1,437 @@
+import fs from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { CHROMA_CONFIG } from "../chromaConfig.js";
+import { CHAT_PROVIDERS } from "./ask.js";
+import { CHUNKING_STRATEGIES, DEFAULT_CHUNKING_STRATEGY } from "./chunkers.js";
+import { EMBEDDING_PROVIDERS } from "./embeddings.js";
+import {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_CONCURRENCY,
+} from "./ingest.js";
+import {
+  DEFAULT_N_RESULTS,
+  DEFAULT_KEYWORD_WEIGHT,
+  DEFAULT_MMR_LAMBDA,
+} from "./query.js";
+import { LOADER_NAMES } from "./loaders.js";
+import { RERANKERS } from "./rerank.js";
+import { DEFAULT_RETRIES } from "./retry.js";
+import { DISTANCE_METRICS } from "./scoring.js";
+
+// Looked for in the working directory, in this order, unless a file is named
+export const CONFIG_FILES = [
+  "rag.config.json",
+  "rag.config.yaml",
+  "rag.config.yml",
+];
+
+const positiveInt = {
+  describe: "a positive integer",
+  numeric: true,
+  check: (value) => Number.isInteger(value) && value > 0,
+};
+const nonNegativeInt = {
+  describe: "a non-negative integer",
+  numeric: true,
+  check: (value) => Number.isInteger(value) && value >= 0,
+};
+const fraction = {
+  describe: "a number from 0 to 1",
+  numeric: true,
+  check: (value) => typeof value === "number" && value >= 0 && value <= 1,
+};
+const string = {
+  describe: "a non-empty string",
+  check: (value) => typeof value === "string" && value.length > 0,
+};
+const oneOf = (values) => ({
+  describe: `one of ${values.join(", ")}`,
+  check: (value) => values.includes(value),
+});
+const metadata = {
+  describe: "an object of string, number or boolean values",
+  check: (value) =>
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.values(value).every((entry) =>
+      ["string", "number", "boolean"].includes(typeof entry)
+    ),
+};
+const strategyMap = {
+  describe: `an object mapping file types (${LOADER_NAMES.join(
+    ", "
+  )}) to chunking strategies (${CHUNKING_STRATEGIES.join(", ")})`,
+  check: (value) =>
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.entries(value).every(
+      ([type, strategy]) =>
+        LOADER_NAMES.includes(type) && CHUNKING_STRATEGIES.includes(strategy)
+    ),
+};
+
+/**
+ * Every setting, by dotted path: its type, whether null is allowed, the
+ * environment variable that overrides it, whether a collection profile
+ * may change it and whether layers merge into it key by key
+ */
+const SETTINGS = {
+  url: { type: string, env: "RAG_URL", global: true },
+  collectionName: { type: string, env: "RAG_COLLECTION", global: true },
+  collectionMetadata: { type: metadata, merge: true },
+  "embedding.provider": {
+    type: oneOf(EMBEDDING_PROVIDERS),
+    env: "EMBEDDING_PROVIDER",
+  },
+  "embedding.model": { type: string, nullable: true, env: "EMBEDDING_MODEL" },
+  "chunking.chunkSize": { type: positiveInt, env: "RAG_CHUNK_SIZE" },
+  "chunking.chunkOverlap": { type: nonNegativeInt, env: "RAG_CHUNK_OVERLAP" },
+  "chunking.chunkStrategy": {
+    type: oneOf(CHUNKING_STRATEGIES),
+    env: "RAG_CHUNK_STRATEGY",
+  },
+  "chunking.chunkStrategies": { type: strategyMap, merge: true },
+  "ingestion.batchSize": { type: positiveInt, env: "RAG_BATCH_SIZE" },
+  "ingestion.concurrency": { type: positiveInt, env: "RAG_CONCURRENCY" },
+  "ingestion.retries": { type: nonNegativeInt, env: "RAG_RETRIES" },
+  "ingestion.requestsPerMinute": {
+    type: positiveInt,
+    nullable: true,
+    env: "RAG_REQUESTS_PER_MINUTE",
+  },
+  "retrieval.nResults": { type: positiveInt, env: "RAG_N_RESULTS" },
+  "retrieval.keywordWeight": { type: fraction, env: "RAG_KEYWORD_WEIGHT" },
+  "retrieval.minScore": { type: fraction, env: "RAG_MIN_SCORE" },
+  "retrieval.rerank": {
+    type: oneOf(RERANKERS),
+    nullable: true,
+    env: "RAG_RERANK",
+  },
+  "retrieval.fetchK": { type: positiveInt, nullable: true, env: "RAG_FETCH_K" },
+  "retrieval.mmrLambda": { type: fraction, env: "RAG_MMR_LAMBDA" },
+  "chat.provider": { type: oneOf(CHAT_PROVIDERS), env: "RAG_CHAT_PROVIDER" },
+  "chat.model": { type: string, nullable: true, env: "RAG_CHAT_MODEL" },
+};
+
+// HNSW build and search parameters Chroma reads from collection metadata
+const HNSW_INT_PARAMS = ["hnsw:construction_ef", "hnsw:M", "hnsw:search_ef"];
+
+// A model name belongs to its provider: naming another provider without a
+// model falls back to that provider's default model
+const MODEL_OF_PROVIDER = {
+  "embedding.provider": "embedding.model",
+  "chat.provider": "chat.model",
+};
+
+/**
+ * Built-in settings: CHROMA_CONFIG plus the defaults of each module
+ */
+export const DEFAULT_CONFIG = {
+  url: CHROMA_CONFIG.url,
+  collectionName: CHROMA_CONFIG.collectionName,
+  collectionMetadata: { ...CHROMA_CONFIG.collectionMetadata },
+  embedding: { ...CHROMA_CONFIG.embedding },
+  chunking: {
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    chunkOverlap: DEFAULT_CHUNK_OVERLAP,
+    chunkStrategy: DEFAULT_CHUNKING_STRATEGY,
+    chunkStrategies: {},
+  },
+  ingestion: {
+    batchSize: DEFAULT_BATCH_SIZE,
+    concurrency: DEFAULT_CONCURRENCY,
+    retries: DEFAULT_RETRIES,
+    requestsPerMinute: null,
+  },
+  retrieval: {
+    nResults: DEFAULT_N_RESULTS,
+    keywordWeight: DEFAULT_KEYWORD_WEIGHT,
+    minScore: 0,
+    rerank: null,
+    fetchK: null,
+    mmrLambda: DEFAULT_MMR_LAMBDA,
+  },
+  chat: { provider: "openai", model: null },
+};
+
+function getPath(object, dotted) {
+  return dotted
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, dotted, value) {
+  const keys = dotted.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), object);
+  parent[last] = value;
+}
+
+function checkValue(setting, value, label, shown = JSON.stringify(value)) {
+  if (value === null && setting.nullable) return value;
+  if (!setting.type.check(value)) {
+    throw new Error(
+      `${label} must be ${setting.type.describe}${
+        setting.nullable ? " or null" : ""
+      }, got ${shown}`
+    );
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Checks one layer of settings (a config file, or one of its collection
+ * profiles) and flattens it to { dotted path: value }
+ */
+function flattenLayer(layer, label, { profile = false } = {}) {
+  if (!isPlainObject(layer)) {
+    throw new Error(`${label} must be an object of settings`);
+  }
+  const flat = {};
+  const visit = (node, prefix) => {
+    Object.entries(node).forEach(([key, value]) => {
+      const dotted = prefix ? `${prefix}.${key}` : key;
+      const setting = SETTINGS[dotted];
+      if (setting) {
+        if (profile && setting.global) {
+          throw new Error(`${label}: ${dotted} cannot be set per collection`);
+        }
+        flat[dotted] = checkValue(setting, value, `${label}: ${dotted}`);
+        return;
+      }
+      const isGroup = Object.keys(SETTINGS).some((name) =>
+        name.startsWith(`${dotted}.`)
+      );
+      if (isGroup && isPlainObject(value)) {
+        visit(value, dotted);
+        return;
+      }
+      throw new Error(
+        `${label}: unknown setting "${dotted}". Known settings: ${Object.keys(
+          SETTINGS
+        ).join(", ")}, collections`
+      );
+    });
+  };
+  visit(layer, "");
+  return flat;
+}
+
+/**
+ * Reads settings from environment variables, converting their text
+ */
+function readEnvLayer(env) {
+  const flat = {};
+  Object.entries(SETTINGS).forEach(([dotted, setting]) => {
+    const raw = setting.env && env[setting.env];
+    if (raw === undefined || raw === "") return;
+    let value = raw;
+    if (setting.nullable && raw === "null") {
+      value = null;
+    } else if (setting.type.numeric) {
+      value = Number(raw);
+    }
+    flat[dotted] = checkValue(setting, value, setting.env, JSON.stringify(raw));
+  });
+  return flat;
+}
+
+/**
+ * Finds the config file to use: the one given, else RAG_CONFIG, else the
+ * first of CONFIG_FILES in the directory
+ * @param {Object} [options]
+ * @param {string} [options.file] - Explicit config file, which must exist
+ * @param {Object} [options.env] - Environment (default: process.env)
+ * @param {string} [options.cwd] - Directory to search (default: the working directory)
+ * @returns {Promise<string|null>} - Path, or null when there is no config file
+ */
+export async function findConfigFile(options = {}) {
+  const { env = process.env, cwd = process.cwd() } = options;
+  const named = options.file || env.RAG_CONFIG;
+  if (named) {
+    const file = path.resolve(cwd, named);
+    await fs.access(file).catch(() => {
+      throw new Error(`Config file not found: ${named}`);
+    });
+    return file;
+  }
+  for (const name of CONFIG_FILES) {
+    const file = path.join(cwd, name);
+    try {
+      await fs.access(file);
+      return file;
+    } catch (e) {
+      // try the next name
+    }
+  }
+  return null;
+}
+
+async function readConfigFile(file) {
+  const raw = await fs.readFile(file, "utf8");
+  const label = path.basename(file);
+  try {
+    const parsed =
+      path.extname(file).toLowerCase() === ".json"
+        ? JSON.parse(raw)
+        : YAML.parse(raw);
+    return parsed ?? {};
+  } catch (error) {
+    throw new Error(`Cannot parse ${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolves the effective settings from, lowest to highest precedence:
+ * built-in defaults, the config file, the file's profile for the selected
+ * collection, environment variables and command-line overrides. Every
+ * layer is validated, and errors name the file or variable at fault.
+ * @param {Object} [options]
+ * @param {string} [options.file] - Config file (default: RAG_CONFIG, then rag.config.json/.yaml/.yml)
+ * @param {Object} [options.overrides] - Highest-precedence settings, e.g. from CLI flags, in the config's shape
+ * @param {Object} [options.env] - Environment (default: process.env)
+ * @param {string} [options.cwd] - Directory searched for a config file
+ * @returns {Promise<Object>} - { config, file, profile, origins: { dotted path: origin } }
+ */
+export async function loadConfig(options = {}) {
+  const { overrides = {}, env = process.env } = options;
+  const file = await findConfigFile(options);
+  const label = file ? path.basename(file) : null;
+
+  let fileLayer = {};
+  let profiles = {};
+  if (file) {
+    const { collections = {}, ...settings } = await readConfigFile(file);
+    if (!isPlainObject(collections)) {
+      throw new Error(
+        `${label}: collections must map collection names to settings`
+      );
+    }
+    fileLayer = flattenLayer(settings, label);
+    profiles = collections;
+  }
+  const envLayer = readEnvLayer(env);
+  const overrideLayer = flattenLayer(
+    JSON.parse(JSON.stringify(overrides)),
+    "command line"
+  );
+
+  // The collection picks its profile, so resolve it before the profile applies
+  const collectionName =
+    overrideLayer.collectionName ??
+    envLayer.collectionName ??
+    fileLayer.collectionName ??
+    DEFAULT_CONFIG.collectionName;
+  const profile = Object.hasOwn(profiles, collectionName)
+    ? collectionName
+    : null;
+  const profileLayer = profile
+    ? flattenLayer(profiles[profile] ?? {}, `${label} collections.${profile}`, {
+        profile: true,
+      })
+    : {};
+
+  const config = structuredClone(DEFAULT_CONFIG);
+  const origins = Object.fromEntries(
+    Object.keys(SETTINGS).map((dotted) => [dotted, "default"])
+  );
+  const layers = [
+    [fileLayer, label],
+    [profileLayer, `${label} collections.${profile}`],
+    [envLayer, null],
+    [overrideLayer, "command line"],
+  ];
+  layers.forEach(([layer, origin]) => {
+    Object.entries(MODEL_OF_PROVIDER).forEach(([provider, model]) => {
+      if (provider in layer && !(model in layer)) {
+        setPath(config, model, null);
+        origins[model] = origin ?? SETTINGS[provider].env;
+      }
+    });
+    Object.entries(layer).forEach(([dotted, value]) => {
+      // Maps merge key by key, so a file can add HNSW parameters without
+      // restating the distance metric, or a profile change one file type
+      setPath(
+        config,
+        dotted,
+        SETTINGS[dotted].merge
+          ? { ...getPath(config, dotted), ...value }
+          : value
+      );
+      origins[dotted] = origin ?? SETTINGS[dotted].env;
+    });
+  });
+
+  const space = config.collectionMetadata["hnsw:space"];
+  if (space !== undefined && !DISTANCE_METRICS.includes(space)) {
+    throw new Error(
+      `collectionMetadata "hnsw:space" must be one of ${DISTANCE_METRICS.join(
+        ", "
+      )}, got ${JSON.stringify(space)} (from ${origins.collectionMetadata})`
+    );
+  }
+  HNSW_INT_PARAMS.forEach((key) => {
+    const value = config.collectionMetadata[key];
+    if (value !== undefined && !positiveInt.check(value)) {
+      throw new Error(
+        `collectionMetadata "${key}" must be ${
+          positiveInt.describe
+        }, got ${JSON.stringify(value)} (from ${origins.collectionMetadata})`
+      );
+    }
+  });
+  if (config.chunking.chunkOverlap >= config.chunking.chunkSize) {
+    throw new Error(
+      `chunking.chunkOverlap (${config.chunking.chunkOverlap}, from ${origins["chunking.chunkOverlap"]}) must be smaller than chunking.chunkSize (${config.chunking.chunkSize}, from ${origins["chunking.chunkSize"]})`
+    );
+  }
+
+  return { config, file, profile, origins };
+}
+
+/**
+ * Turns resolved settings into the options every library function takes.
+ * A collection nobody chose is left out, so functions with their own
+ * fallback (import into the exported collection, resume a chat in its
+ * collection) can apply it before CHROMA_CONFIG's.
+ * @param {Object} config - config from loadConfig
+ * @param {Object} [origins] - origins from loadConfig
+ * @returns {Object} - url, collectionName, collectionMetadata, embedding, chunking, ingestion and retrieval options, and the chat provider and model
+ */
+export function configToOptions(config, origins = {}) {
+  return {
+    url: config.url,
+    ...(origins.collectionName !== "default" && {
+      collectionName: config.collectionName,
+    }),
+    collectionMetadata: config.collectionMetadata,
+    embedding: config.embedding,
+    ...config.chunking,
+    ...config.ingestion,
+    ...config.retrieval,
+    provider: config.chat.provider,
+    model: config.chat.model,
+  };
+}
+
+/**
+ * Lists every setting with its value and where it came from
+ * @param {Object} resolved - Output of loadConfig
+ * @returns {Array<Object>} - [{ setting, value, origin }] in schema order
+ */
+export function describeConfig({ config, origins }) {
+  return Object.keys(SETTINGS).map((dotted) => ({
+    setting: dotted,
+    value: getPath(config, dotted),
+    origin: origins[dotted],
+  }));
+}
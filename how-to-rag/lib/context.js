@@ -0,0 +1,155 @@
+import { countTokens, truncateToTokens } from "./tokens.js";
+
+export const CONTEXT_ORDERS = ["relevance", "position"];
+
+const PASSAGE_SEPARATOR = "\n\n---\n\n";
+
+// Shorter shared edges are likely coincidence rather than splitter overlap
+const MIN_OVERLAP = 20;
+
+// Not worth including a sliver of a passage when the budget runs out
+const MIN_TRUNCATED_TOKENS = 50;
+
+/**
+ * Finds how much of the start of `next` repeats the end of `previous`, as
+ * produced by a text splitter's chunkOverlap
+ * @param {string} previous - Earlier chunk
+ * @param {string} next - Following chunk
+ * @returns {number} - Length of the repeated text, 0 when there is none
+ */
+export function findOverlap(previous, next) {
+  const longest = Math.min(previous.length, next.length);
+  for (let length = longest; length >= MIN_OVERLAP; length--) {
+    if (previous.endsWith(next.slice(0, length))) return length;
+  }
+  return 0;
+}
+
+/**
+ * Joins adjacent chunks of one document, dropping the text each chunk repeats
+ * from the one before it
+ * @param {Array<string>} contents - Chunk texts in document order
+ * @returns {string}
+ */
+export function joinChunks(contents) {
+  return contents.reduce((joined, content, index) => {
+    if (index === 0) return content;
+    const overlap = findOverlap(joined, content);
+    if (overlap === 0) return `${joined}\n\n${content}`;
+
+    const rest = content.slice(overlap);
+    if (!rest) return joined;
+    return /^\s/.test(rest) || /\s$/.test(joined)
+      ? `${joined}${rest}`
+      : `${joined} ${rest}`;
+  }, "");
+}
+
+function formatHeader(passage) {
+  return `Source: ${passage.source}${
+    passage.label ? `, ${passage.label}` : ""
+  } (Relevance: ${passage.relevanceScore.toFixed(3)})`;
+}
+
+/**
+ * Orders passages by document position: sources in the order of their best
+ * passage, passages within a source as they appear in the document
+ */
+function orderByPosition(passages) {
+  const sourceRank = new Map();
+  passages.forEach((passage, rank) => {
+    if (!sourceRank.has(passage.source)) sourceRank.set(passage.source, rank);
+  });
+  return [...passages].sort(
+    (a, b) =>
+      sourceRank.get(a.source) - sourceRank.get(b.source) ||
+      (a.position ?? 0) - (b.position ?? 0)
+  );
+}
+
+/**
+ * Assembles retrieved passages into a context string that fits a token budget.
+ * Passages repeated inside a better-ranked passage of the same source are
+ * dropped, then passages are taken by relevance until the budget is spent; the
+ * one crossing it is truncated.
+ * @param {Array<Object>} passages - Output of expandMatches, best first
+ * @param {Object} [options]
+ * @param {number} [options.tokenBudget] - Maximum tokens of the whole context, unlimited when unset
+ * @param {string} [options.order] - "relevance" (default) or "position" (document order)
+ * @param {string} [options.encoding] - tiktoken encoding used to count tokens
+ * @returns {Object} - { text, tokens, included: [{ source, label, pages, tokens, truncated }], omitted: [{ source, label, pages }] }
+ */
+export function buildContext(passages, options = {}) {
+  const { tokenBudget, order = "relevance", encoding } = options;
+  if (!CONTEXT_ORDERS.includes(order)) {
+    throw new Error(
+      `Unknown context order "${order}". Use one of: ${CONTEXT_ORDERS.join(
+        ", "
+      )}`
+    );
+  }
+
+  const unique = passages.filter(
+    (passage, index) =>
+      !passages
+        .slice(0, index)
+        .some(
+          (earlier) =>
+            earlier.source === passage.source &&
+            earlier.content.includes(passage.content)
+        )
+  );
+
+  const separatorTokens = countTokens(PASSAGE_SEPARATOR, encoding);
+  let remaining = tokenBudget ?? Infinity;
+  const selected = [];
+  const omitted = [];
+
+  unique.forEach((passage) => {
+    const header = `${formatHeader(passage)}\n\n`;
+    const overhead =
+      countTokens(header, encoding) + (selected.length ? separatorTokens : 0);
+    const contentTokens = countTokens(passage.content, encoding);
+
+    if (overhead + contentTokens <= remaining) {
+      selected.push({ ...passage, header, tokens: contentTokens });
+      remaining -= overhead + contentTokens;
+    } else if (
+      remaining - overhead >=
+      Math.min(MIN_TRUNCATED_TOKENS, contentTokens)
+    ) {
+      const content = truncateToTokens(
+        passage.content,
+        remaining - overhead,
+        encoding
+      );
+      const tokens = countTokens(content, encoding);
+      selected.push({ ...passage, header, content, tokens, truncated: true });
+      remaining -= overhead + tokens;
+    } else {
+      omitted.push(passage);
+    }
+  });
+
+  const ordered = order === "position" ? orderByPosition(selected) : selected;
+  const text = ordered
+    .map((passage) => `${passage.header}${passage.content}`)
+    .join(PASSAGE_SEPARATOR);
+
+  return {
+    text,
+    tokens: text ? countTokens(text, encoding) : 0,
+    included: ordered.map((passage) => ({
+      source: passage.source,
+      label: passage.label,
+      pages: passage.pages || [],
+      tokens: passage.tokens,
+      truncated: Boolean(passage.truncated),
+    })),
+    omitted: omitted.map((passage) => ({
+      source: passage.source,
+      label: passage.label,
+      pages: passage.pages || [],
+    })),
+  };
+}
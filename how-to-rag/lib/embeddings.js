@@ -0,0 +1,155 @@
+import { Embeddings } from "@langchain/core/embeddings";
+import { OpenAIEmbeddings } from "@langchain/openai";
+import { HuggingFaceTransformersEmbeddings } from "@langchain/community/embeddings/huggingface_transformers";
+import { createHash } from "crypto";
+import { CHROMA_CONFIG } from "../chromaConfig.js";
+
+const DEFAULT_MODELS = {
+  openai: "text-embedding-3-large",
+  local: "Xenova/all-MiniLM-L6-v2",
+  fake: "fake-hash-256",
+};
+
+export const EMBEDDING_PROVIDERS = Object.keys(DEFAULT_MODELS);
+
+/**
+ * Deterministic embedder for tests and offline experiments.
+ * Hashes each word into a fixed-size bag-of-words vector and L2-normalises it,
+ * so texts sharing vocabulary end up close together without any model.
+ */
+export class FakeEmbeddings extends Embeddings {
+  constructor({ dimension = 256 } = {}) {
+    super({});
+    this.dimension = dimension;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    words.forEach((word) => {
+      const digest = createHash("sha256").update(word).digest();
+      const bucket = digest.readUInt32BE(0) % this.dimension;
+      vector[bucket] += digest[4] & 1 ? 1 : -1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value ** 2, 0));
+    return norm === 0 ? vector : vector.map((value) => value / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map((text) => this.embedText(text));
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text);
+  }
+}
+
+/**
+ * Resolves which embedding provider and model to use.
+ * Explicit config wins, then EMBEDDING_PROVIDER / EMBEDDING_MODEL, then CHROMA_CONFIG.embedding.
+ * @param {Object} [config] - Embedding config with provider and model
+ * @returns {Object} - { provider, model }
+ */
+export function resolveEmbeddingConfig(config = {}) {
+  const defaults = CHROMA_CONFIG.embedding;
+  const provider =
+    config.provider || process.env.EMBEDDING_PROVIDER || defaults.provider;
+
+  if (!DEFAULT_MODELS[provider]) {
+    throw new Error(
+      `Unknown embedding provider "${provider}". Use one of: ${EMBEDDING_PROVIDERS.join(
+        ", "
+      )}`
+    );
+  }
+
+  // A model only carries over when it was configured for the same provider
+  const envModel = config.provider ? null : process.env.EMBEDDING_MODEL;
+  const defaultModel = provider === defaults.provider ? defaults.model : null;
+  const model =
+    config.model || envModel || defaultModel || DEFAULT_MODELS[provider];
+
+  return { provider, model };
+}
+
+/**
+ * Creates the embedder selected by config
+ * @param {Object|Embeddings} [config] - Embedding config with provider and model, or a ready embeddings instance
+ * @returns {Embeddings} - LangChain embeddings instance, tagged with provider and model
+ */
+export function createEmbeddings(config = {}) {
+  if (typeof config.embedQuery === "function") {
+    config.provider = config.provider || "custom";
+    config.modelName = config.modelName || config.model || "custom";
+    return config;
+  }
+
+  const { provider, model } = resolveEmbeddingConfig(config);
+  let embeddings;
+
+  switch (provider) {
+    case "openai":
+      embeddings = new OpenAIEmbeddings({ batchSize: 512, model });
+      break;
+    case "local":
+      embeddings = new HuggingFaceTransformersEmbeddings({ model });
+      break;
+    case "fake":
+      embeddings = new FakeEmbeddings({
+        dimension: parseInt(model.match(/(\d+)$/)?.[1] || "256", 10),
+      });
+      break;
+  }
+
+  embeddings.provider = provider;
+  embeddings.modelName = model;
+  return embeddings;
+}
+
+/**
+ * Describes an embedder as collection metadata
+ * @param {Embeddings} embeddings - Embedder created by createEmbeddings
+ * @param {Array<number>} [probe] - A vector it already produced; when omitted the embedder is probed once
+ * @returns {Promise<Object>} - Metadata recording provider, model and dimension
+ */
+export async function describeEmbeddings(embeddings, probe) {
+  probe = probe || (await embeddings.embedQuery("test"));
+  return {
+    embedding_provider: embeddings.provider,
+    embedding_model: embeddings.modelName,
+    embedding_dimension: probe.length,
+  };
+}
+
+/**
+ * Refuses to use a collection built by a different embedding model
+ * @param {Object} collectionMetadata - Metadata of the ChromaDB collection
+ * @param {Object} embeddingMetadata - Output of describeEmbeddings for the current embedder
+ * @param {string} collectionName - Collection name, for the error message
+ */
+export function assertCompatibleEmbeddings(
+  collectionMetadata,
+  embeddingMetadata,
+  collectionName
+) {
+  const storedModel = collectionMetadata?.embedding_model;
+  const storedDimension = collectionMetadata?.embedding_dimension;
+
+  if (!storedModel) {
+    console.warn(
+      `⚠️ Collection "${collectionName}" does not record its embedding model; assuming ${embeddingMetadata.embedding_model}`
+    );
+    return;
+  }
+
+  if (
+    storedModel !== embeddingMetadata.embedding_model ||
+    storedDimension !== embeddingMetadata.embedding_dimension
+  ) {
+    throw new Error(
+      `Embedding mismatch for collection "${collectionName}": it was built with ${storedModel} (${storedDimension} dimensions) but the current embedder is ${embeddingMetadata.embedding_model} (${embeddingMetadata.embedding_dimension} dimensions). Set EMBEDDING_PROVIDER/EMBEDDING_MODEL to match or re-ingest into a new collection.`
+    );
+  }
+}
@@ -0,0 +1,214 @@
+import fs from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { getRelevantChunks } from "./query.js";
+
+export const DEFAULT_KS = [1, 3, 5];
+
+// Fields an expected passage can be matched on
+const EXPECTED_FIELDS = ["source", "page", "record", "text"];
+
+// JSON record fields tried as its name when a chunk has no record_id
+const RECORD_NAME_FIELDS = ["name", "title", "id"];
+
+/**
+ * Normalises one expected passage: a bare string is a source name
+ */
+function toExpected(expected, caseLabel) {
+  const target =
+    typeof expected === "string" ? { source: expected } : expected || {};
+  const fields = Object.keys(target);
+  if (
+    fields.length === 0 ||
+    fields.some((field) => !EXPECTED_FIELDS.includes(field))
+  ) {
+    throw new Error(
+      `${caseLabel}: each expected entry needs some of ${EXPECTED_FIELDS.join(
+        ", "
+      )}, got ${JSON.stringify(expected)}`
+    );
+  }
+  return target;
+}
+
+/**
+ * Reads a golden set: a list of cases, or { k, cases }, in YAML or JSON.
+ * A case is { question, expected } where expected lists the passages a good
+ * retriever returns, each matched on source, page, record and/or text.
+ * @param {string} file - .yaml, .yml or .json file
+ * @returns {Promise<Object>} - { k, cases: [{ question, expected: [...] }] }
+ */
+export async function loadGoldenSet(file) {
+  const raw = await fs.readFile(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+  let parsed;
+  try {
+    parsed = extension === ".json" ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (error) {
+    throw new Error(`Cannot parse golden set ${file}: ${error.message}`);
+  }
+
+  const cases = Array.isArray(parsed) ? parsed : parsed?.cases;
+  if (!Array.isArray(cases) || cases.length === 0) {
+    throw new Error(
+      `${file} has no cases; expected a list or { cases: [...] }`
+    );
+  }
+
+  return {
+    k: Array.isArray(parsed) ? undefined : parsed.k,
+    cases: cases.map((entry, idx) => {
+      const caseLabel = `${file} case ${idx + 1}`;
+      if (typeof entry?.question !== "string" || !entry.question.trim()) {
+        throw new Error(`${caseLabel}: "question" must be a non-empty string`);
+      }
+      const expected = [entry.expected ?? []].flat();
+      if (expected.length === 0) {
+        throw new Error(`${caseLabel}: "expected" lists no passages`);
+      }
+      return {
+        question: entry.question,
+        expected: expected.map((target) => toExpected(target, caseLabel)),
+      };
+    }),
+  };
+}
+
+function recordNames(chunk) {
+  if (chunk.metadata?.record_id != null) {
+    return [String(chunk.metadata.record_id)];
+  }
+  try {
+    const record = JSON.parse(chunk.content);
+    return RECORD_NAME_FIELDS.map((field) => record?.[field])
+      .filter((value) => value != null)
+      .map(String);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Tells whether a retrieved chunk is one of the expected passages: every
+ * field given on the expected entry must match
+ * @param {Object} chunk - Result of getRelevantChunks
+ * @param {Object} expected - { source, page, record, text }
+ * @returns {boolean}
+ */
+export function matchesExpected(chunk, expected) {
+  if (expected.source != null && chunk.source !== expected.source) {
+    return false;
+  }
+  if (
+    expected.page != null &&
+    Number(chunk.page ?? chunk.metadata?.page) !== Number(expected.page)
+  ) {
+    return false;
+  }
+  if (
+    expected.record != null &&
+    !recordNames(chunk).includes(String(expected.record))
+  ) {
+    return false;
+  }
+  if (
+    expected.text != null &&
+    !chunk.content.toLowerCase().includes(String(expected.text).toLowerCase())
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Scores one ranked result list against the expected passages. An expected
+ * passage counts once, at the rank of the first chunk matching it, so
+ * several chunks of the same page don't inflate the scores.
+ * @param {Array<Object>} results - Ranked chunks
+ * @param {Array<Object>} expected - Expected passages
+ * @param {Array<number>} ks - Cut-offs for recall@k and nDCG@k
+ * @returns {Object} - { ranks, reciprocalRank, recall: { k: n }, ndcg: { k: n } }
+ */
+export function scoreRanking(results, expected, ks) {
+  // 1-based rank at which each expected passage was first found, or null
+  const ranks = expected.map(() => null);
+  // Whether the result at each position found a new expected passage
+  const gains = results.map((chunk, position) => {
+    const found = expected.findIndex(
+      (target, idx) => ranks[idx] === null && matchesExpected(chunk, target)
+    );
+    if (found === -1) return 0;
+    ranks[found] = position + 1;
+    return 1;
+  });
+
+  const firstHit = gains.indexOf(1);
+  const dcg = (k) =>
+    gains
+      .slice(0, k)
+      .reduce((sum, gain, idx) => sum + gain / Math.log2(idx + 2), 0);
+  const idealDcg = (k) =>
+    Array.from({ length: Math.min(k, expected.length) }).reduce(
+      (sum, _, idx) => sum + 1 / Math.log2(idx + 2),
+      0
+    );
+
+  return {
+    ranks,
+    reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+    recall: Object.fromEntries(
+      ks.map((k) => [
+        k,
+        ranks.filter((rank) => rank !== null && rank <= k).length /
+          expected.length,
+      ])
+    ),
+    ndcg: Object.fromEntries(ks.map((k) => [k, dcg(k) / idealDcg(k)])),
+  };
+}
+
+/**
+ * Runs every golden question through the retriever and scores the rankings
+ * @param {Array<Object>} cases - Cases from loadGoldenSet
+ * @param {Object} [options] - getRelevantChunks options (collection, embedding, retrieval mode), plus:
+ * @param {Array<number>} [options.ks] - Cut-offs to report (default: 1, 3, 5); the largest sets how many chunks are retrieved
+ * @param {Function} [options.retrieve] - Retrieval function, defaults to getRelevantChunks
+ * @returns {Promise<Object>} - { ks, cases: [{ question, expected, retrieved, ranks, ... }], metrics: { mrr, recall, ndcg } }
+ */
+export async function evaluateRetrieval(cases, options = {}) {
+  const { ks = DEFAULT_KS, retrieve = getRelevantChunks } = options;
+  const nResults = Math.max(...ks);
+
+  const scored = [];
+  for (const { question, expected } of cases) {
+    console.log(`Evaluating: ${question}`);
+    const results = await retrieve(question, { ...options, nResults });
+    scored.push({
+      question,
+      expected,
+      retrieved: results.map((chunk) => ({
+        source: chunk.source,
+        page: chunk.page,
+        chunkId: chunk.chunkId,
+        relevanceScore: chunk.relevanceScore,
+      })),
+      ...scoreRanking(results, expected, ks),
+    });
+  }
+
+  const mean = (values) =>
+    values.reduce((sum, value) => sum + value, 0) / values.length;
+  return {
+    ks,
+    cases: scored,
+    metrics: {
+      mrr: mean(scored.map((entry) => entry.reciprocalRank)),
+      recall: Object.fromEntries(
+        ks.map((k) => [k, mean(scored.map((entry) => entry.recall[k]))])
+      ),
+      ndcg: Object.fromEntries(
+        ks.map((k) => [k, mean(scored.map((entry) => entry.ndcg[k]))])
+      ),
+    },
+  };
+}
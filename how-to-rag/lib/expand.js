@@ -0,0 +1,261 @@
+import { getParents, getSourceParents } from "./parents.js";
+import { joinChunks } from "./context.js";
+
+export const EXPAND_MODES = ["source", "parent", "neighbors"];
+
+const DEFAULT_WINDOW = 1;
+
+/**
+ * Reads chunks matching a where clause in document order
+ */
+async function getOrderedChunks(collection, where) {
+  const { documents, metadatas } = await collection.get({
+    where,
+    include: ["documents", "metadatas"],
+  });
+  return documents
+    .map((content, idx) => ({
+      content,
+      chunkId: Number(metadatas[idx].chunk_id) || 0,
+      page: metadatas[idx].page,
+    }))
+    .sort((a, b) => a.chunkId - b.chunkId);
+}
+
+function joinContents(entries) {
+  return joinChunks(entries.map((entry) => entry.content));
+}
+
+/**
+ * Distinct page numbers of chunks or parent records, for reporting
+ */
+function collectPages(entries) {
+  return [
+    ...new Set(
+      entries
+        .map((entry) => entry.page ?? entry.metadata?.page)
+        .filter((page) => page != null)
+    ),
+  ];
+}
+
+/**
+ * Keeps matches from the first maxSources distinct sources, in rank order
+ */
+function capSources(matches, maxSources) {
+  const allowed = new Set();
+  return matches.filter(({ metadata }) => {
+    const source = metadata.source || "Unknown";
+    if (!allowed.has(source) && allowed.size >= maxSources) return false;
+    allowed.add(source);
+    return true;
+  });
+}
+
+function describeParent(metadata = {}) {
+  if (metadata.heading_path) return metadata.heading_path;
+  if (metadata.section) return metadata.section;
+  if (metadata.page != null) return `page ${metadata.page}`;
+  if (metadata.row != null) return `row ${metadata.row}`;
+  return null;
+}
+
+/**
+ * Reads the full text of a source: its parent records in order, or its chunks
+ * re-joined when the source was ingested without parents
+ * @param {Object} collection - ChromaDB collection holding the source's chunks
+ * @param {string} source - Source name
+ * @param {Object} options - Resolved options
+ * @returns {Promise<Object|null>} - { source, content, pages }, null when the source has no chunks
+ */
+export async function readSource(collection, source, options) {
+  console.log(`Processing source: ${source}`);
+  const parents = await getSourceParents(source, options);
+  if (parents.length > 0) {
+    return {
+      source,
+      // Parents are whole pages or sections, they don't overlap
+      content: parents.map((parent) => parent.content).join("\n\n"),
+      pages: collectPages(parents),
+    };
+  }
+
+  console.log(`No parent records for ${source}, reconstructing from chunks...`);
+  const chunks = await getOrderedChunks(collection, { source });
+  if (chunks.length === 0) return null;
+  return {
+    source,
+    content: joinContents(chunks),
+    pages: collectPages(chunks),
+  };
+}
+
+/**
+ * Whole sources, each read with readSource
+ */
+async function expandToSources(collection, matches, options) {
+  const sources = [];
+  matches.forEach((match) => {
+    const source = match.metadata.source || "Unknown";
+    if (!sources.some((entry) => entry.source === source)) {
+      sources.push({ source, relevanceScore: match.relevanceScore });
+    }
+  });
+
+  return Promise.all(
+    sources.map(async ({ source, relevanceScore }) => {
+      const document = await readSource(collection, source, options);
+      return {
+        source,
+        label: null,
+        content: document?.content ?? "",
+        relevanceScore,
+        position: 0,
+        pages: document?.pages ?? [],
+      };
+    })
+  );
+}
+
+/**
+ * Matched chunks replaced by their parent record (PDF page, heading section or
+ * whole file, depending on the parent scope used at ingestion)
+ */
+async function expandToParents(collection, matches, options) {
+  const units = new Map();
+  matches.forEach((match) => {
+    const key = match.metadata.parent_id ?? match.id;
+    if (!units.has(key)) {
+      units.set(key, { match, parentId: match.metadata.parent_id });
+    }
+  });
+
+  const parentIds = [...units.values()]
+    .map((unit) => unit.parentId)
+    .filter((parentId) => parentId != null);
+  const parents = await getParents(parentIds, options);
+
+  return Promise.all(
+    [...units.values()].map(async ({ match, parentId }) => {
+      const source = match.metadata.source || "Unknown";
+      const parent = parents.get(parentId);
+      const metadata = parent?.metadata || match.metadata;
+      let content = match.content;
+      if (parent) {
+        content = parent.content;
+      } else if (parentId != null) {
+        // Parent records missing: rebuild the parent from its chunks
+        content = joinContents(
+          await getOrderedChunks(collection, { parent_id: parentId })
+        );
+      }
+      return {
+        source,
+        label: describeParent(metadata),
+        content,
+        relevanceScore: match.relevanceScore,
+        position:
+          metadata.parent_index ?? (Number(match.metadata.chunk_id) || 0),
+        pages: collectPages([{ metadata }]),
+      };
+    })
+  );
+}
+
+/**
+ * Matched chunks widened to the window chunks either side of them by chunk_id.
+ * Overlapping windows in the same source are merged into one passage.
+ */
+async function expandToNeighbors(collection, matches, window) {
+  const ranges = [];
+  matches.forEach((match) => {
+    const source = match.metadata.source || "Unknown";
+    const chunkId = Number(match.metadata.chunk_id);
+    if (!Number.isFinite(chunkId)) {
+      ranges.push({ source, content: match.content, match });
+      return;
+    }
+
+    const from = Math.max(0, chunkId - window);
+    const to = chunkId + window;
+    const overlapping = ranges.find(
+      (range) =>
+        range.source === source &&
+        range.from !== undefined &&
+        from <= range.to + 1 &&
+        to >= range.from - 1
+    );
+    if (overlapping) {
+      overlapping.from = Math.min(overlapping.from, from);
+      overlapping.to = Math.max(overlapping.to, to);
+    } else {
+      ranges.push({ source, from, to, match });
+    }
+  });
+
+  return Promise.all(
+    ranges.map(async (range) => {
+      if (range.from === undefined) {
+        return {
+          source: range.source,
+          label: null,
+          content: range.content,
+          relevanceScore: range.match.relevanceScore,
+          position: 0,
+          pages: collectPages([range.match]),
+        };
+      }
+      const chunks = await getOrderedChunks(collection, {
+        $and: [
+          { source: range.source },
+          { chunk_id: { $gte: range.from } },
+          { chunk_id: { $lte: range.to } },
+        ],
+      });
+      const first = chunks[0]?.chunkId ?? range.from;
+      const last = chunks[chunks.length - 1]?.chunkId ?? range.to;
+      return {
+        source: range.source,
+        label: first === last ? `chunk ${first}` : `chunks ${first}-${last}`,
+        content: joinContents(chunks),
+        relevanceScore: range.match.relevanceScore,
+        position: first,
+        pages: collectPages(chunks),
+      };
+    })
+  );
+}
+
+/**
+ * Expands ranked chunk matches into larger passages for context
+ * @param {Object} collection - ChromaDB collection the matches came from
+ * @param {Array<Object>} matches - Ranked matches with id, content, metadata and relevanceScore
+ * @param {Object} options - Resolved query options
+ * @param {string} [options.expand] - "source" (whole documents, default), "parent" or "neighbors"
+ * @param {number} [options.window] - Chunks either side of a match for "neighbors" (default: 1)
+ * @param {number} [options.maxSources] - Distinct sources to draw passages from (default: 2 for "source", unlimited otherwise)
+ * @returns {Promise<Array<Object>>} - [{ source, label, content, relevanceScore, position, pages }] in rank order
+ */
+export async function expandMatches(collection, matches, options = {}) {
+  const expand = options.expand || "source";
+  if (!EXPAND_MODES.includes(expand)) {
+    throw new Error(
+      `Unknown expand mode "${expand}". Use one of: ${EXPAND_MODES.join(", ")}`
+    );
+  }
+
+  const maxSources = options.maxSources ?? (expand === "source" ? 2 : Infinity);
+  const capped = capSources(matches, maxSources);
+
+  if (expand === "parent") {
+    return expandToParents(collection, capped, options);
+  }
+  if (expand === "neighbors") {
+    return expandToNeighbors(
+      collection,
+      capped,
+      options.window ?? DEFAULT_WINDOW
+    );
+  }
+  return expandToSources(collection, capped, options);
+}
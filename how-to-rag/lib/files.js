@@ -0,0 +1,104 @@
+import fg from "fast-glob";
+import picomatch from "picomatch";
+import path from "path";
+import fs from "fs/promises";
+import { isSupportedFile } from "./loaders.js";
+
+const DEFAULT_EXCLUDE = ["**/node_modules/**", "**/.git/**"];
+
+/**
+ * Splits a glob into the directory it starts from and the pattern below it,
+ * e.g. "docs/**\/*.md" -> { base: "docs", pattern: "**\/*.md" }
+ */
+function splitGlob(glob) {
+  const segments = glob.split("/");
+  // An absolute glob starts with an empty segment, which fast-glob rejects
+  const firstDynamic = segments.findIndex(
+    (segment) => segment !== "" && fg.isDynamicPattern(segment)
+  );
+  return {
+    base: segments.slice(0, firstDynamic).join("/") || ".",
+    pattern: segments.slice(firstDynamic).join("/"),
+  };
+}
+
+/**
+ * Expands files, directories and globs into the list of files to ingest.
+ * Files found by walking a directory or expanding a glob are named relative to
+ * that directory (or the glob's static prefix); files given directly keep their
+ * file name as source, matching single-file ingestion.
+ * @param {Array<string>} inputs - File paths, directory paths or glob patterns
+ * @param {Object} [options]
+ * @param {Array<string>} [options.include] - Globs a discovered file must match (relative to its root)
+ * @param {Array<string>} [options.exclude] - Globs that rule a discovered file out
+ * @returns {Promise<Object>} - { files: [{ filePath, source }], skipped: [{ filePath, reason }] }
+ */
+export async function resolveInputFiles(inputs, options = {}) {
+  const include = options.include?.length ? options.include : ["**/*"];
+  const exclude = [...DEFAULT_EXCLUDE, ...(options.exclude || [])];
+  const isIncluded = picomatch(include, { dot: true });
+  const isExcluded = picomatch(exclude, { dot: true });
+
+  const files = new Map();
+  const skipped = [];
+
+  const addDiscovered = (root, relativePaths) => {
+    relativePaths.forEach((relativePath) => {
+      const filePath = path.resolve(root, relativePath);
+      if (!isIncluded(relativePath) || isExcluded(relativePath)) return;
+      if (!isSupportedFile(filePath)) {
+        skipped.push({ filePath, reason: "unsupported file type" });
+        return;
+      }
+      if (!files.has(filePath)) {
+        files.set(filePath, { filePath, source: relativePath });
+      }
+    });
+  };
+
+  for (const input of inputs) {
+    const stats = await fs.stat(input).catch(() => null);
+
+    if (stats?.isFile()) {
+      const filePath = path.resolve(input);
+      if (!files.has(filePath)) {
+        files.set(filePath, { filePath, source: path.basename(filePath) });
+      }
+    } else if (stats?.isDirectory()) {
+      const relativePaths = await fg("**/*", {
+        cwd: input,
+        dot: true,
+        onlyFiles: true,
+        ignore: exclude,
+      });
+      addDiscovered(input, relativePaths.sort());
+    } else if (fg.isDynamicPattern(input)) {
+      const { base, pattern } = splitGlob(input.replace(/\\/g, "/"));
+      const relativePaths = await fg(pattern, {
+        cwd: base,
+        onlyFiles: true,
+        ignore: exclude,
+      });
+      if (relativePaths.length === 0) {
+        skipped.push({ filePath: input, reason: "glob matched no files" });
+      }
+      addDiscovered(base, relativePaths.sort());
+    } else {
+      skipped.push({ filePath: input, reason: "no such file or directory" });
+    }
+  }
+
+  // Two different files must never share a source, or re-ingesting one would
+  // remove the other's chunks. Fall back to cwd-relative paths for clashes.
+  const bySource = new Map();
+  files.forEach((file) => {
+    bySource.set(file.source, (bySource.get(file.source) || 0) + 1);
+  });
+  files.forEach((file) => {
+    if (bySource.get(file.source) > 1) {
+      file.source = path.relative(process.cwd(), file.filePath);
+    }
+  });
+
+  return { files: Array.from(files.values()), skipped };
+}
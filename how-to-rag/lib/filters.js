@@ -0,0 +1,217 @@
+const OPERATORS = {
+  "!=": "$ne",
+  ">=": "$gte",
+  "<=": "$lte",
+  ">": "$gt",
+  "<": "$lt",
+  "=": "$eq",
+};
+
+/**
+ * Converts a CLI value into the type stored in metadata.
+ * Numbers and booleans are coerced; quote a value to keep it a string.
+ */
+function parseValue(raw) {
+  const value = raw.trim();
+  const quoted = value.match(/^(["'])(.*)\1$/);
+  if (quoted) return quoted[2];
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value === "true" || value === "false") return value === "true";
+  return value;
+}
+
+/**
+ * Parses one --where expression into a Chroma where clause.
+ * Supported forms:
+ *   key=value, key!=value, key>n, key>=n, key<n, key<=n
+ *   key=10..20   (inclusive range)
+ *   key=[a,b,c]  ($in), key!=[a,b] ($nin)
+ * @param {string} expression - e.g. "page=10..20" or "category=[dev,ops]"
+ * @returns {Object} - Chroma where clause
+ */
+export function parseWhereExpression(expression) {
+  const match = expression.match(/^([^!<>=]+?)\s*(!=|>=|<=|>|<|=)(.*)$/);
+  if (!match || !match[1].trim()) {
+    throw new Error(
+      `Invalid filter "${expression}". Use key=value, key>=n, key=a..b or key=[a,b]`
+    );
+  }
+
+  const key = match[1].trim();
+  const operator = OPERATORS[match[2]];
+  const rawValue = match[3].trim();
+
+  const list = rawValue.match(/^\[(.*)\]$/);
+  if (list && (operator === "$eq" || operator === "$ne")) {
+    const values = list[1].split(",").map(parseValue);
+    return { [key]: { [operator === "$eq" ? "$in" : "$nin"]: values } };
+  }
+
+  const range = rawValue.match(/^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/);
+  if (range && operator === "$eq") {
+    return {
+      $and: [
+        { [key]: { $gte: Number(range[1]) } },
+        { [key]: { $lte: Number(range[2]) } },
+      ],
+    };
+  }
+
+  const value = parseValue(rawValue);
+  if (operator !== "$eq" && operator !== "$ne" && typeof value !== "number") {
+    throw new Error(
+      `Invalid filter "${expression}": ${match[2]} needs a numeric value`
+    );
+  }
+  return { [key]: { [operator]: value } };
+}
+
+// Operators a where clause may use, besides $and and $or
+const WHERE_OPERATORS = new Set([...Object.values(OPERATORS), "$in", "$nin"]);
+
+/**
+ * Checks a raw where clause, throwing on operators neither Chroma nor the
+ * built-in store understand, which would otherwise just match nothing
+ * @param {Object} where - Chroma where clause
+ */
+function assertWhereClause(where) {
+  if (where === null || typeof where !== "object" || Array.isArray(where)) {
+    throw new Error("A where clause must be an object");
+  }
+  Object.entries(where).forEach(([key, condition]) => {
+    if (key === "$and" || key === "$or") {
+      if (!Array.isArray(condition)) {
+        throw new Error(`${key} needs an array of where clauses`);
+      }
+      condition.forEach(assertWhereClause);
+      return;
+    }
+    if (key.startsWith("$")) {
+      throw new Error(`Unknown where operator ${key}; use $and or $or`);
+    }
+    if (condition === null || typeof condition !== "object") return;
+    Object.entries(condition).forEach(([operator, operand]) => {
+      if (!WHERE_OPERATORS.has(operator)) {
+        throw new Error(
+          `Unknown filter operator ${operator} on "${key}". Use one of: ${[
+            ...WHERE_OPERATORS,
+          ].join(", ")}`
+        );
+      }
+      if (
+        (operator === "$in" || operator === "$nin") &&
+        !Array.isArray(operand)
+      ) {
+        throw new Error(`${operator} on "${key}" needs an array`);
+      }
+    });
+  });
+}
+
+/**
+ * Combines query filters into a single Chroma where clause
+ * @param {Object} filters
+ * @param {string|Array<string>} [filters.source] - Restrict to one or more sources
+ * @param {Object} [filters.where] - Raw Chroma where clause; unknown operators are rejected
+ * @param {Array<string>} [filters.filters] - --where style expressions
+ * @returns {Object|undefined} - Where clause, or undefined when nothing filters
+ */
+export function buildWhere({ source, where, filters } = {}) {
+  const clauses = [];
+
+  const sources = [source].flat().filter(Boolean);
+  if (sources.length === 1) {
+    clauses.push({ source: sources[0] });
+  } else if (sources.length > 1) {
+    clauses.push({ source: { $in: sources } });
+  }
+
+  if (where && Object.keys(where).length > 0) {
+    assertWhereClause(where);
+    clauses.push(where);
+  }
+
+  (filters || []).forEach((expression) => {
+    clauses.push(parseWhereExpression(expression));
+  });
+
+  // Chroma rejects $and with fewer than two clauses
+  if (clauses.length === 0) return undefined;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+function compare(value, operator, operand) {
+  switch (operator) {
+    case "$eq":
+      return value === operand;
+    case "$ne":
+      return value !== operand;
+    case "$gt":
+      return typeof value === "number" && value > operand;
+    case "$gte":
+      return typeof value === "number" && value >= operand;
+    case "$lt":
+      return typeof value === "number" && value < operand;
+    case "$lte":
+      return typeof value === "number" && value <= operand;
+    case "$in":
+      return operand.includes(value);
+    case "$nin":
+      return !operand.includes(value);
+    default:
+      throw new Error(`Unsupported filter operator ${operator}`);
+  }
+}
+
+/**
+ * Evaluates a Chroma where clause against one record's metadata, for stores
+ * that filter in JavaScript rather than on a server
+ * @param {Object} metadata - Record metadata
+ * @param {Object} [where] - Where clause, as built by buildWhere
+ * @returns {boolean} - True when the record matches, or there is no clause
+ */
+export function matchesWhere(metadata, where) {
+  if (!where) return true;
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === "$and") {
+      return condition.every((clause) => matchesWhere(metadata, clause));
+    }
+    if (key === "$or") {
+      return condition.some((clause) => matchesWhere(metadata, clause));
+    }
+    const value = metadata?.[key];
+    if (condition === null || typeof condition !== "object") {
+      return value === condition;
+    }
+    return Object.entries(condition).every(([operator, operand]) =>
+      compare(value, operator, operand)
+    );
+  });
+}
+
+/**
+ * Evaluates a Chroma whereDocument clause ($contains, $not_contains, $and, $or)
+ * against a record's text
+ * @param {string} document - Record text
+ * @param {Object} [whereDocument] - Document clause
+ * @returns {boolean}
+ */
+export function matchesWhereDocument(document, whereDocument) {
+  if (!whereDocument) return true;
+  return Object.entries(whereDocument).every(([operator, operand]) => {
+    switch (operator) {
+      case "$contains":
+        return (document || "").includes(operand);
+      case "$not_contains":
+        return !(document || "").includes(operand);
+      case "$and":
+        return operand.every((clause) =>
+          matchesWhereDocument(document, clause)
+        );
+      case "$or":
+        return operand.some((clause) => matchesWhereDocument(document, clause));
+      default:
+        throw new Error(`Unsupported document filter operator ${operator}`);
+    }
+  });
+}
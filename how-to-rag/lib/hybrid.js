@@ -0,0 +1,25 @@
+// Damping constant from the original reciprocal rank fusion paper: keeps the
+// top few ranks from dominating and makes fusion robust to noisy rankings
+const RRF_K = 60;
+
+/**
+ * Merges ranked ID lists with weighted reciprocal rank fusion:
+ * score(id) = sum of weight / (RRF_K + rank) over every list containing the id
+ * @param {Array<Array<string>>} rankings - ID lists, best first
+ * @param {Array<number>} weights - Weight of each list
+ * @returns {Array<Object>} - [{ id, score }] best first
+ */
+export function fuseRankings(rankings, weights) {
+  const scores = new Map();
+  rankings.forEach((ids, listIndex) => {
+    const weight = weights[listIndex] ?? 1;
+    if (weight <= 0) return;
+    ids.forEach((id, rank) => {
+      scores.set(id, (scores.get(id) || 0) + weight / (RRF_K + rank + 1));
+    });
+  });
+
+  return Array.from(scores.entries())
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,700 @@
+import { createHash } from "crypto";
+import { resolveOptions, openCollection } from "./chroma.js";
+import { createChunker, DEFAULT_CHUNKING_STRATEGY } from "./chunkers.js";
+import {
+  createEmbeddings,
+  describeEmbeddings,
+  resolveEmbeddingConfig,
+} from "./embeddings.js";
+import { loadContent } from "./loaders.js";
+import { resolveInputFiles } from "./files.js";
+import { updateKeywordIndex, rebuildKeywordIndex } from "./keywordIndex.js";
+import { buildParents, replaceParents } from "./parents.js";
+import { withRetry, createRateLimiter, mapWithConcurrency } from "./retry.js";
+import { openCheckpoint, ingestionFingerprint } from "./checkpoint.js";
+import { loadTokenizer } from "./tokens.js";
+import {
+  hashContent,
+  readSourceRecords,
+  restoreSourceRecords,
+  verifyIngestion,
+  describeVerificationFailures,
+} from "./verify.js";
+import {
+  selectRecords,
+  formatRecord,
+  promoteFields,
+  getRecordId,
+} from "./json.js";
+
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 100;
+
+// Chunks per embedding request, and requests in flight at once
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_CONCURRENCY = 2;
+
+// Loaders that emit one self-contained text record per document (a CSV row)
+const RECORD_LOADERS = new Set(["csv"]);
+
+/**
+ * Numbers chunks sequentially within each source so chunk_id follows document
+ * order even when a source was loaded as several documents (pages, sections, rows)
+ * @param {Array} chunks - Chunks in document order
+ */
+function numberChunksBySource(chunks) {
+  const totals = new Map();
+  chunks.forEach((chunk) => {
+    const source = chunk.metadata.source;
+    chunk.metadata.chunk_id = totals.get(source) || 0;
+    totals.set(source, chunk.metadata.chunk_id + 1);
+  });
+  chunks.forEach((chunk) => {
+    chunk.metadata.total_chunks = totals.get(chunk.metadata.source);
+  });
+}
+
+/**
+ * Builds the chunks for one JSON record: selected fields as text, promoted
+ * fields as metadata, and sub-chunks when the record exceeds the chunk size
+ * @param {*} record - One JSON record
+ * @param {Object} metadata - Metadata of the document the record came from
+ * @param {Object} jsonOptions - fields, metadataFields and idField
+ * @param {Object} chunker - Chunker for oversized records, from createChunker
+ * @returns {Promise<Array>} - Chunks for the record
+ */
+async function recordToChunks(record, metadata, jsonOptions, chunker) {
+  const recordId = getRecordId(record, jsonOptions.idField);
+  const recordDocument = {
+    pageContent: formatRecord(record, jsonOptions.fields),
+    metadata: {
+      ...metadata,
+      ...promoteFields(record, jsonOptions.metadataFields),
+      ...(recordId !== undefined && { record_id: recordId }),
+    },
+  };
+
+  if (chunker.length(recordDocument.pageContent) <= chunker.chunkSize) {
+    recordDocument.metadata.chunk_strategy = "record";
+    return [recordDocument];
+  }
+
+  return chunker.splitDocument(recordDocument);
+}
+
+/**
+ * Embedding provider and model whose tokenizer sizes and counts the chunks
+ */
+function tokenizerModel(embedding) {
+  return typeof embedding?.embedQuery === "function"
+    ? { provider: embedding.provider, model: embedding.modelName }
+    : resolveEmbeddingConfig(embedding);
+}
+
+/**
+ * Splits loaded documents into chunks
+ * @param {Array} documents - Output of loadContent
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Maximum chunk length, in tokens for the "token" strategy and characters otherwise (default: 1000)
+ * @param {number} [options.chunkOverlap] - Length shared by neighbouring chunks (default: 100)
+ * @param {string} [options.chunkStrategy] - Chunking strategy, one of CHUNKING_STRATEGIES (default: recursive)
+ * @param {Object} [options.chunkStrategies] - Strategy per file type, keyed by loader name, e.g. { pdf: "sentence" }
+ * @param {Object} [options.embedding] - Embedding config; its tokenizer counts tokens, and "semantic" embeds sentences with it
+ * @param {Object} [options.json] - JSON/JSONL record options
+ * @param {Array<string>} [options.json.fields] - Fields to embed (default: the whole record)
+ * @param {Array<string>} [options.json.metadataFields] - Fields to promote into metadata
+ * @param {string} [options.json.idField] - Field used as a stable record ID
+ * @param {string} [options.json.recordPath] - JSONPath to the record array (default: the root)
+ * @returns {Promise<Array>} - Chunks numbered by source
+ */
+async function splitDocuments(documents, options = {}) {
+  console.log("Splitting documents...");
+  const jsonOptions = options.json || {};
+
+  const chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+  const chunkOverlap = options.chunkOverlap ?? DEFAULT_CHUNK_OVERLAP;
+
+  const tokenizer = await loadTokenizer(tokenizerModel(options.embedding));
+  const chunkers = new Map();
+  const chunkerFor = (loader) => {
+    const strategy =
+      options.chunkStrategies?.[loader] ??
+      options.chunkStrategy ??
+      DEFAULT_CHUNKING_STRATEGY;
+    if (!chunkers.has(strategy)) {
+      chunkers.set(
+        strategy,
+        createChunker(strategy, {
+          chunkSize,
+          chunkOverlap,
+          tokenizer,
+          embeddings:
+            strategy === "semantic"
+              ? createEmbeddings(options.embedding)
+              : undefined,
+        })
+      );
+    }
+    return chunkers.get(strategy);
+  };
+
+  const allChunks = [];
+  for (const document of documents) {
+    // An unknown strategy is a setup error, not a problem with one document
+    const loader = document.metadata.loader || "text";
+    const chunker = chunkerFor(loader);
+    try {
+      console.log(
+        `Splitting document from source: ${document.metadata.source}`
+      );
+
+      // JSONL records go through the same field selection as JSON arrays
+      if (document.metadata.loader === "jsonl") {
+        allChunks.push(
+          ...(await recordToChunks(
+            JSON.parse(document.pageContent),
+            document.metadata,
+            jsonOptions,
+            chunker
+          ))
+        );
+        continue;
+      }
+
+      // Records stay whole; only oversized ones are split
+      if (RECORD_LOADERS.has(loader)) {
+        if (chunker.length(document.pageContent) <= chunker.chunkSize) {
+          allChunks.push({
+            pageContent: document.pageContent,
+            metadata: { ...document.metadata, chunk_strategy: "record" },
+          });
+        } else {
+          allChunks.push(...(await chunker.splitDocument(document)));
+        }
+        continue;
+      }
+
+      // For PDF files or non-JSON content, use the text splitter directly.
+      // Structured loaders emit one document per page/section, so chunks never cross those boundaries.
+      if (loader !== "text" || !tryParseAsJson(document.pageContent)) {
+        console.log(
+          `Processing as text document (${loader}, ${chunker.strategy} chunking)`
+        );
+        allChunks.push(...(await chunker.splitDocument(document)));
+        continue;
+      }
+
+      // Process JSON content
+      let jsonContent;
+      try {
+        jsonContent = selectRecords(
+          JSON.parse(document.pageContent),
+          jsonOptions.recordPath
+        );
+      } catch (error) {
+        console.warn(`Unable to read JSON records: ${error.message}`);
+        continue;
+      }
+
+      // Process each record in the JSON array as a separate chunk
+      for (const record of jsonContent) {
+        allChunks.push(
+          ...(await recordToChunks(
+            record,
+            document.metadata,
+            jsonOptions,
+            chunker
+          ))
+        );
+      }
+
+      console.log(
+        `Split JSON array into ${jsonContent.length} individual record chunks`
+      );
+    } catch (error) {
+      console.error(
+        `Error splitting document from ${document.metadata.source}:`,
+        error
+      );
+    }
+  }
+
+  numberChunksBySource(allChunks);
+
+  // Record how each chunk was cut and how much of the model's input it takes
+  let oversized = 0;
+  allChunks.forEach((chunk) => {
+    chunk.metadata.chunk_strategy ??= chunkerFor(
+      chunk.metadata.loader || "text"
+    ).strategy;
+    chunk.metadata.token_count = tokenizer.count(chunk.pageContent);
+    if (
+      tokenizer.maxTokens &&
+      chunk.metadata.token_count > tokenizer.maxTokens
+    ) {
+      oversized += 1;
+    }
+  });
+  if (oversized > 0) {
+    console.warn(
+      `⚠️ ${oversized} chunks exceed the ${tokenizer.maxTokens}-token input limit of the embedding model and will be truncated when embedded; use the "token" strategy or a smaller chunk size`
+    );
+  }
+
+  console.log(`Split into ${allChunks.length} total chunks`);
+  return allChunks;
+}
+
+// Helper function to safely check if content is valid JSON
+function tryParseAsJson(content) {
+  try {
+    JSON.parse(content);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Reconstructs original content from document chunks grouped by source
+ * @param {Object} allDocuments - Documents retrieved from ChromaDB
+ * @returns {Object} - Map of source names to reconstructed content
+ */
+async function reconstructContentBySource(allDocuments) {
+  console.log("Reconstructing content by source...");
+  const contentBySource = {};
+
+  // Group documents by source
+  for (let i = 0; i < allDocuments.documents.length; i++) {
+    const source = allDocuments.metadatas[i].source;
+    const content = allDocuments.documents[i];
+
+    if (!contentBySource[source]) {
+      contentBySource[source] = [];
+    }
+
+    contentBySource[source].push({
+      content,
+      chunkId: allDocuments.metadatas[i].chunk_id || 0,
+    });
+  }
+
+  // Content-hash IDs don't preserve insertion order, so sort by chunk_id before joining
+  Object.keys(contentBySource).forEach((source) => {
+    contentBySource[source] = contentBySource[source]
+      .sort((a, b) => a.chunkId - b.chunkId)
+      .map((chunk) => chunk.content)
+      .join(" ");
+  });
+
+  console.log(
+    `Reconstructed content for ${Object.keys(contentBySource).length} sources`
+  );
+  return contentBySource;
+}
+
+/**
+ * Keeps only the metadata values ChromaDB can store (strings, numbers, booleans).
+ * Loaders attach nested objects such as `pdf` and `loc` that Chroma rejects.
+ * @param {Object} metadata - Chunk metadata
+ * @returns {Object} - Flat metadata
+ */
+function toChromaMetadata(metadata) {
+  return Object.fromEntries(
+    Object.entries(metadata).filter(([, value]) =>
+      ["string", "number", "boolean"].includes(typeof value)
+    )
+  );
+}
+
+/**
+ * Builds stable IDs for a list of chunks.
+ * The ID is a SHA-256 of the chunk's source and content, so re-chunking a file
+ * only changes the IDs of chunks whose text actually changed. Chunks of JSON
+ * records with a record_id are keyed by that ID instead, so an edited record
+ * keeps its ID. Repeated keys within a source get an occurrence suffix.
+ * @param {Array} chunks - Chunks with pageContent and metadata.source
+ * @returns {Array<string>} - IDs in the same order as the chunks
+ */
+function buildChunkIds(chunks) {
+  const occurrences = new Map();
+
+  return chunks.map((chunk) => {
+    const source = chunk.metadata.source || "unknown";
+    const key =
+      chunk.metadata.record_id !== undefined
+        ? `${source}\n#record:${chunk.metadata.record_id}`
+        : `${source}\n${chunk.pageContent}`;
+    const hash = createHash("sha256").update(key).digest("hex");
+
+    const seen = occurrences.get(hash) || 0;
+    occurrences.set(hash, seen + 1);
+
+    return seen === 0 ? hash : `${hash}_${seen}`;
+  });
+}
+
+/**
+ * Builds the metadata stored with a chunk in Chroma
+ */
+function buildStoredMetadata(id, chunk) {
+  return {
+    ...toChromaMetadata(chunk.metadata),
+    id,
+    source: chunk.metadata.source || "unknown",
+    content_hash: hashContent(chunk.pageContent),
+  };
+}
+
+/**
+ * Compares freshly split chunks against what is already stored for their sources
+ * @param {Object} collection - ChromaDB collection
+ * @param {Array} chunks - Chunks to ingest
+ * @param {Array<string>} chunkIds - IDs from buildChunkIds
+ * @returns {Object} - Chunks to embed, chunks to re-label and IDs to remove
+ */
+async function diffAgainstCollection(collection, chunks, chunkIds) {
+  const sources = [
+    ...new Set(chunks.map((chunk) => chunk.metadata.source || "unknown")),
+  ];
+
+  const storedById = new Map();
+  for (const source of sources) {
+    const stored = await collection.get({
+      where: { source },
+      include: ["metadatas"],
+    });
+    stored.ids.forEach((id, idx) => storedById.set(id, stored.metadatas[idx]));
+  }
+
+  const toAdd = [];
+  const toUpdate = [];
+  const toRelabel = [];
+  chunks.forEach((chunk, idx) => {
+    const id = chunkIds[idx];
+    const storedMetadata = storedById.get(id);
+    const metadata = buildStoredMetadata(id, chunk);
+
+    if (!storedMetadata) {
+      toAdd.push({ id, chunk, metadata });
+    } else if (
+      storedMetadata.content_hash &&
+      storedMetadata.content_hash !== metadata.content_hash
+    ) {
+      // Same record ID, edited content: re-embed in place
+      toUpdate.push({ id, chunk, metadata });
+    } else if (
+      Object.keys(metadata).some((key) => storedMetadata[key] !== metadata[key])
+    ) {
+      // Same content, new position or promoted fields: refresh metadata without re-embedding
+      toRelabel.push({
+        id,
+        metadata: { ...metadata, timestamp: storedMetadata.timestamp },
+      });
+    }
+  });
+
+  const currentIds = new Set(chunkIds);
+  const toRemove = [...storedById.keys()].filter((id) => !currentIds.has(id));
+
+  return { toAdd, toUpdate, toRelabel, toRemove, sources };
+}
+
+/**
+ * Upserts chunks into the collection, embedding only new or edited content,
+ * then verifies the stored chunks against them and throws when they differ
+ * @param {Array} chunks - Output of splitDocuments
+ * @param {Object} [options] - url, collectionName, collectionMetadata and embedding overrides
+ * @param {boolean} [options.rollback] - Restore the ingested sources to their previous state when verification fails
+ * @param {number} [options.batchSize] - Chunks per embedding request (default: 50)
+ * @param {number} [options.concurrency] - Batches embedded and stored in parallel (default: 2)
+ * @param {number} [options.retries] - Retries of a failed batch, with exponential backoff (default: 5)
+ * @param {number} [options.requestsPerMinute] - Cap on embedding requests per minute (default: unlimited)
+ * @returns {Promise<Object>} - Counts of added, updated, unchanged and removed chunks, and the verification report
+ */
+async function addToChroma(chunks, options = {}) {
+  options = resolveOptions(options);
+  const embedding = createEmbeddings(options.embedding);
+
+  try {
+    console.log("Testing embedding creation...");
+    const embeddingMetadata = await describeEmbeddings(embedding);
+    console.log(
+      `✓ Created test embedding of length ${embeddingMetadata.embedding_dimension} with ${embeddingMetadata.embedding_model}`
+    );
+
+    const collection = await openCollection(options, embeddingMetadata);
+
+    const chunkIds = buildChunkIds(chunks);
+    const { toAdd, toUpdate, toRelabel, toRemove, sources } =
+      await diffAgainstCollection(collection, chunks, chunkIds);
+
+    // What the sources looked like before, to restore if verification fails
+    const snapshot = options.rollback
+      ? await readSourceRecords(collection, sources, [
+          "metadatas",
+          "documents",
+          "embeddings",
+        ])
+      : null;
+    const checkpoint = await openCheckpoint(
+      options,
+      ingestionFingerprint(
+        chunkIds.map(
+          (id, idx) => `${id}:${hashContent(chunks[idx].pageContent)}`
+        )
+      )
+    );
+
+    // Batches the checkpoint records as stored are not embedded again
+    const toEmbed = [...toAdd, ...toUpdate].filter(
+      ({ id }) => !checkpoint.embedded.has(id)
+    );
+    const unchangedCount = chunks.length - toAdd.length - toUpdate.length;
+    if (checkpoint.resumed) {
+      console.log(
+        `Resuming an interrupted ingestion: ${checkpoint.embedded.size} chunks were stored before it stopped, ${toEmbed.length} remain`
+      );
+    }
+
+    // Refresh chunk positions for unchanged content
+    if (toRelabel.length > 0) {
+      console.log(`Updating metadata for ${toRelabel.length} moved chunks`);
+      await withRetry(
+        () =>
+          collection.update({
+            ids: toRelabel.map((entry) => entry.id),
+            metadatas: toRelabel.map((entry) => entry.metadata),
+          }),
+        { retries: options.retries, label: "Updating chunk metadata" }
+      );
+    }
+
+    // Embed new and edited chunks in batches, a few at a time. A failed batch
+    // is retried; if the run still dies, the checkpoint lets re-running the
+    // same ingestion pick up from the batches that never landed.
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const batches = [];
+    for (let i = 0; i < toEmbed.length; i += batchSize) {
+      batches.push(toEmbed.slice(i, i + batchSize));
+    }
+    const rateLimiter = createRateLimiter(options.requestsPerMinute);
+
+    await mapWithConcurrency(
+      batches,
+      options.concurrency || DEFAULT_CONCURRENCY,
+      async (batch, index) => {
+        const label = `batch ${index + 1} of ${batches.length}`;
+        console.log(`Processing ${label}`);
+
+        const batchEmbeddings = await withRetry(
+          () =>
+            embedding.embedDocuments(
+              batch.map(({ chunk }) => chunk.pageContent)
+            ),
+          { retries: options.retries, rateLimiter, label: `Embedding ${label}` }
+        );
+
+        await withRetry(
+          () =>
+            collection.upsert({
+              ids: batch.map(({ id }) => id),
+              embeddings: batchEmbeddings,
+              metadatas: batch.map(({ metadata }) => ({
+                ...metadata,
+                timestamp: new Date().toISOString(),
+              })),
+              documents: batch.map(({ chunk }) => chunk.pageContent),
+            }),
+          { retries: options.retries, label: `Storing ${label}` }
+        );
+
+        await checkpoint.recordBatch(batch.map(({ id }) => id));
+        console.log(`Added ${label}`);
+      }
+    );
+
+    // Stale chunks go only once their replacements are stored, so a run that
+    // dies part way never leaves a source with less than it had
+    if (toRemove.length > 0) {
+      console.log(`Removing ${toRemove.length} stale chunks`);
+      await withRetry(() => collection.delete({ ids: toRemove }), {
+        retries: options.retries,
+        label: "Removing stale chunks",
+      });
+    }
+
+    // Keep the BM25 index used by hybrid queries in step with the collection,
+    // including batches stored by the interrupted run being resumed
+    await updateKeywordIndex(collection, options, {
+      upserts: chunks
+        .map((chunk, idx) => ({ chunk, id: chunkIds[idx] }))
+        .filter(({ id }) => checkpoint.embedded.has(id))
+        .map(({ chunk, id }) => ({
+          id,
+          content: chunk.pageContent,
+          metadata: buildStoredMetadata(id, chunk),
+        })),
+      removals: toRemove,
+    });
+    await checkpoint.clear();
+
+    console.log("\n=== INGESTION SUMMARY ===");
+    console.log(`Added:     ${toAdd.length}`);
+    console.log(`Updated:   ${toUpdate.length}`);
+    console.log(`Unchanged: ${unchangedCount}`);
+    console.log(`Removed:   ${toRemove.length}\n`);
+
+    // Check the collection against the chunks split from the loaded documents
+    console.log("Verifying stored chunks...");
+    const verification = await verifyIngestion(
+      collection,
+      chunks,
+      chunkIds,
+      embeddingMetadata.embedding_dimension
+    );
+    if (!verification.ok) {
+      const failures = describeVerificationFailures(verification);
+      failures.forEach((failure) => console.error(`✗ ${failure}`));
+
+      if (snapshot) {
+        console.log(
+          `Rolling back ${sources.length} sources to their state before ingestion`
+        );
+        await restoreSourceRecords(collection, sources, snapshot);
+        await rebuildKeywordIndex(collection, options);
+      }
+      const error = new Error(
+        `Verification failed for ${failures.length} checks${
+          snapshot ? "; the ingestion was rolled back" : ""
+        }`
+      );
+      error.verification = verification;
+      throw error;
+    }
+    console.log(
+      `✓ Verified ${verification.expected} chunks with ${embeddingMetadata.embedding_dimension}-dimension embeddings`
+    );
+
+    return {
+      added: toAdd.length,
+      updated: toUpdate.length,
+      unchanged: unchangedCount,
+      removed: toRemove.length,
+      verification,
+    };
+  } catch (error) {
+    console.error("Error in addToChroma:", error);
+    if (error.response?.data) {
+      console.error("Response data:", error.response.data);
+    }
+    throw error;
+  }
+}
+
+// Code of the error ingest throws when the inputs hold nothing to index
+const NOTHING_TO_INGEST = "NOTHING_TO_INGEST";
+
+function nothingToIngest(message) {
+  const error = new Error(message);
+  error.code = NOTHING_TO_INGEST;
+  return error;
+}
+
+/**
+ * Loads, splits and upserts files, directories and globs into the collection.
+ * A file that fails to load is reported and skipped; the rest of the batch still goes in.
+ * @param {string|Array<string>} inputs - File paths, directories or glob patterns
+ * @param {Object} [options] - url, collectionName, collectionMetadata and embedding overrides
+ * @param {Array<string>} [options.include] - Globs files found in directories must match
+ * @param {Array<string>} [options.exclude] - Globs that exclude files found in directories
+ * @param {Object} [options.json] - JSON record options, see splitDocuments
+ * @param {string} [options.parentScope] - Parent records to store for context expansion: "section" (default) or "source"
+ * @param {boolean} [options.rollback] - Undo the ingestion when verification fails, see addToChroma
+ * @param {number} [options.batchSize], [options.concurrency], [options.retries], [options.requestsPerMinute] - Embedding throughput, see addToChroma
+ * @returns {Promise<Object>} - Counts of added, unchanged and removed chunks plus a per-file report
+ * @throws {Error} - With code NOTHING_TO_INGEST when no file, content or chunk is found
+ */
+async function ingest(inputs, options = {}) {
+  const inputPaths = Array.isArray(inputs) ? inputs : [inputs];
+  if (inputPaths.length === 0 || inputPaths.some((p) => !p)) {
+    throw new Error("ingest() needs at least one file, directory or glob");
+  }
+
+  const { files, skipped } = await resolveInputFiles(inputPaths, {
+    include: options.include,
+    exclude: options.exclude,
+  });
+  skipped.forEach(({ filePath, reason }) =>
+    console.warn(`⚠️ Skipped ${filePath}: ${reason}`)
+  );
+  if (files.length === 0) {
+    throw nothingToIngest("No files found to ingest");
+  }
+  console.log(`Found ${files.length} files to ingest`);
+
+  const report = [];
+  const documents = [];
+  for (const { filePath, source } of files) {
+    console.log(`Processing input file: ${filePath}`);
+    try {
+      const fileDocuments = await loadContent(filePath, { source });
+      documents.push(...fileDocuments);
+      report.push({ filePath, source, status: "ok" });
+    } catch (error) {
+      console.error(`✗ ${error.message}`);
+      report.push({ filePath, source, status: "failed", error: error.message });
+    }
+  }
+  if (documents.length === 0) {
+    throw nothingToIngest("No content loaded from input files");
+  }
+  console.log(`Loaded ${documents.length} documents`);
+
+  // Tags documents with parent_id before splitting so every chunk carries it
+  const parents = buildParents(documents, options.parentScope);
+  const chunks = await splitDocuments(documents, options);
+  if (!chunks || chunks.length === 0) {
+    throw nothingToIngest("No chunks created from documents");
+  }
+  console.log(`Created ${chunks.length} chunks`);
+
+  // Files that loaded but produced nothing to index are failures too
+  report.forEach((entry) => {
+    entry.chunks = chunks.filter(
+      (chunk) => chunk.metadata.source === entry.source
+    ).length;
+    if (entry.status === "ok" && entry.chunks === 0) {
+      entry.status = "failed";
+      entry.error = "no chunks created";
+    }
+  });
+
+  const result = await addToChroma(chunks, options);
+  await replaceParents(parents, resolveOptions(options));
+
+  console.log("=== FILES ===");
+  report.forEach((entry) => {
+    console.log(
+      entry.status === "ok"
+        ? `✓ ${entry.source} (${entry.chunks} chunks)`
+        : `✗ ${entry.source}: ${entry.error}`
+    );
+  });
+
+  return { ...result, files: report, skipped };
+}
+
+export {
+  ingest,
+  loadContent,
+  splitDocuments,
+  addToChroma,
+  reconstructContentBySource,
+  buildChunkIds,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_CONCURRENCY,
+  NOTHING_TO_INGEST,
+};
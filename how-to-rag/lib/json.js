@@ -0,0 +1,140 @@
+// Metadata keys set by the pipeline itself; promoted fields never overwrite them
+const RESERVED_METADATA_KEYS = new Set([
+  "id",
+  "source",
+  "filePath",
+  "loader",
+  "chunk_id",
+  "total_chunks",
+  "content_hash",
+  "record_id",
+  "timestamp",
+]);
+
+/**
+ * Parses the supported JSONPath subset into steps: `$`, `.key`, `['key']`, `[0]` and `[*]`
+ * @param {string} recordPath - e.g. "$.data.items" or "$.pages[*].entries"
+ * @returns {Array<string|number>} - Keys, indexes and "*" wildcards
+ */
+function parseJsonPath(recordPath) {
+  const steps = [];
+  const pattern =
+    /\.([A-Za-z0-9_$-]+)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]|\[\*\]|\.\*/g;
+  const body = recordPath.trim().replace(/^\$/, "");
+  let position = 0;
+
+  for (const match of body.matchAll(pattern)) {
+    if (match.index !== position) break;
+    position += match[0].length;
+    if (match[1] !== undefined) steps.push(match[1]);
+    else if (match[2] !== undefined) steps.push(Number(match[2]));
+    else if (match[3] !== undefined) steps.push(match[3]);
+    else if (match[4] !== undefined) steps.push(match[4]);
+    else steps.push("*");
+  }
+
+  if (position !== body.length) {
+    throw new Error(
+      `Unsupported JSONPath "${recordPath}". Use $.key, ['key'], [0] and [*] steps.`
+    );
+  }
+  return steps;
+}
+
+/**
+ * Selects the records to index from parsed JSON
+ * @param {*} data - Parsed JSON document
+ * @param {string} [recordPath] - JSONPath to the record array, defaults to the document root
+ * @returns {Array} - Records; a single object becomes a one-record list
+ */
+export function selectRecords(data, recordPath) {
+  let nodes = [data];
+
+  if (recordPath && recordPath.trim() !== "$") {
+    for (const step of parseJsonPath(recordPath)) {
+      nodes = nodes.flatMap((node) => {
+        if (node == null || typeof node !== "object") return [];
+        if (step === "*") return Object.values(node);
+        return node[step] === undefined ? [] : [node[step]];
+      });
+    }
+  }
+
+  return nodes.flatMap((node) => (Array.isArray(node) ? node : [node]));
+}
+
+/**
+ * Reads a possibly nested field such as "author.name"
+ */
+function getField(record, field) {
+  return field
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (typeof item === "object" ? JSON.stringify(item) : item))
+      .join(", ");
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Turns a record into the text that gets embedded
+ * @param {*} record - One JSON record
+ * @param {Array<string>} [fields] - Fields to embed; all of them when omitted
+ * @returns {string} - "field: value" lines for selected fields, pretty JSON otherwise
+ */
+export function formatRecord(record, fields) {
+  if (!fields?.length || record == null || typeof record !== "object") {
+    return JSON.stringify(record, null, 2);
+  }
+
+  return fields
+    .map((field) => [field, getField(record, field)])
+    .filter(([, value]) => value != null && value !== "")
+    .map(([field, value]) => `${field}: ${formatValue(value)}`)
+    .join("\n");
+}
+
+/**
+ * Copies selected record fields into chunk metadata so queries can filter on them.
+ * Arrays are stored as comma-separated strings, since Chroma metadata must be scalar.
+ * @param {*} record - One JSON record
+ * @param {Array<string>} [metadataFields] - Fields to promote
+ * @returns {Object} - Metadata entries
+ */
+export function promoteFields(record, metadataFields) {
+  const metadata = {};
+  if (!metadataFields?.length || record == null || typeof record !== "object") {
+    return metadata;
+  }
+
+  metadataFields.forEach((field) => {
+    const value = getField(record, field);
+    if (value == null) return;
+
+    const key = RESERVED_METADATA_KEYS.has(field) ? `field_${field}` : field;
+    metadata[key] =
+      typeof value === "number" || typeof value === "boolean"
+        ? value
+        : formatValue(value);
+  });
+  return metadata;
+}
+
+/**
+ * Reads the stable ID of a record
+ * @param {*} record - One JSON record
+ * @param {string} [idField] - Field holding the record's ID
+ * @returns {string|undefined}
+ */
+export function getRecordId(record, idField) {
+  if (!idField || record == null || typeof record !== "object") {
+    return undefined;
+  }
+  const value = getField(record, idField);
+  return value == null ? undefined : String(value);
+}
@@ -0,0 +1,221 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Kept next to the package so every script sees the same index regardless of cwd
+const DEFAULT_INDEX_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  ".rag-index"
+);
+const INDEX_VERSION = 1;
+const PAGE_SIZE = 1000;
+
+// BM25 parameters: term frequency saturation and document length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by for from has have how i if in into is it its " +
+    "of on or that the their then there these they this to was what when where " +
+    "which who why will with you your"
+  ).split(" ")
+);
+
+/**
+ * Splits text into lowercase word tokens, dropping common English stopwords
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    (token) => !STOPWORDS.has(token)
+  );
+}
+
+function countTerms(text) {
+  const tokens = tokenize(text);
+  const terms = Object.create(null);
+  tokens.forEach((token) => {
+    terms[token] = (terms[token] || 0) + 1;
+  });
+  return { length: tokens.length, terms };
+}
+
+/**
+ * Path of a file kept alongside a collection, such as its keyword index or
+ * ingestion checkpoint; one folder per server
+ * @param {Object} options - Resolved options (url, collectionName, keywordIndexDir)
+ * @param {string} extension - File extension, e.g. "bm25.json"
+ * @returns {string}
+ */
+export function collectionFilePath(options, extension) {
+  const server = options.url.replace(/^\w+:\/\//, "").replace(/[^\w.-]+/g, "_");
+  return path.join(
+    options.keywordIndexDir || DEFAULT_INDEX_DIR,
+    server,
+    `${options.collectionName}.${extension}`
+  );
+}
+
+/**
+ * Path of the keyword index for a collection; one file per server and collection
+ * @param {Object} options - Resolved options (url, collectionName, keywordIndexDir)
+ * @returns {string}
+ */
+export function keywordIndexPath(options) {
+  return collectionFilePath(options, "bm25.json");
+}
+
+async function readIndex(options) {
+  try {
+    const index = JSON.parse(
+      await fs.readFile(keywordIndexPath(options), "utf8")
+    );
+    return index.version === INDEX_VERSION ? index : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function writeIndex(index, options) {
+  const indexPath = keywordIndexPath(options);
+  await fs.mkdir(path.dirname(indexPath), { recursive: true });
+  await fs.writeFile(indexPath, JSON.stringify(index));
+}
+
+function setDocuments(index, ids, documents, metadatas) {
+  ids.forEach((id, idx) => {
+    index.documents[id] = {
+      source: metadatas?.[idx]?.source || "unknown",
+      ...countTerms(documents[idx] || ""),
+    };
+  });
+}
+
+/**
+ * Rebuilds the keyword index from every chunk stored in the collection
+ * @param {Object} collection - ChromaDB collection
+ * @param {Object} options - Resolved options
+ * @returns {Promise<Object>} - The new index
+ */
+export async function rebuildKeywordIndex(collection, options) {
+  console.log(`Building keyword index for ${options.collectionName}`);
+  const index = { version: INDEX_VERSION, documents: {} };
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await collection.get({
+      include: ["documents", "metadatas"],
+      limit: PAGE_SIZE,
+      offset,
+    });
+    setDocuments(index, page.ids, page.documents, page.metadatas);
+    if (page.ids.length < PAGE_SIZE) break;
+  }
+  await writeIndex(index, options);
+  return index;
+}
+
+/**
+ * Applies an ingestion's changes to the keyword index. Falls back to a full
+ * rebuild when there is no index yet or it has drifted from the collection.
+ * @param {Object} collection - ChromaDB collection, already written to
+ * @param {Object} options - Resolved options
+ * @param {Object} changes
+ * @param {Array<Object>} [changes.upserts] - { id, content, metadata } of new or edited chunks
+ * @param {Array<string>} [changes.removals] - IDs of deleted chunks
+ * @returns {Promise<Object>} - The updated index
+ */
+export async function updateKeywordIndex(
+  collection,
+  options,
+  { upserts = [], removals = [] } = {}
+) {
+  const index = await readIndex(options);
+  if (!index) return rebuildKeywordIndex(collection, options);
+
+  removals.forEach((id) => delete index.documents[id]);
+  setDocuments(
+    index,
+    upserts.map(({ id }) => id),
+    upserts.map(({ content }) => content),
+    upserts.map(({ metadata }) => metadata)
+  );
+
+  if (Object.keys(index.documents).length !== (await collection.count())) {
+    return rebuildKeywordIndex(collection, options);
+  }
+  await writeIndex(index, options);
+  return index;
+}
+
+/**
+ * Loads the keyword index for querying, rebuilding it when it is missing or
+ * out of step with the collection (e.g. chunks written by another client)
+ * @param {Object} collection - ChromaDB collection
+ * @param {Object} options - Resolved options
+ * @returns {Promise<Object>}
+ */
+export async function loadKeywordIndex(collection, options) {
+  const index = await readIndex(options);
+  if (
+    index &&
+    Object.keys(index.documents).length === (await collection.count())
+  ) {
+    return index;
+  }
+  return rebuildKeywordIndex(collection, options);
+}
+
+/**
+ * Ranks indexed chunks against a query with BM25
+ * @param {Object} index - Output of loadKeywordIndex
+ * @param {string} queryText - Query to match
+ * @param {number} limit - Maximum number of hits
+ * @returns {Array<Object>} - [{ id, score }] best first; chunks sharing no term are left out
+ */
+export function searchKeywordIndex(index, queryText, limit) {
+  const queryTerms = [...new Set(tokenize(queryText))];
+  const entries = Object.entries(index.documents);
+  if (queryTerms.length === 0 || entries.length === 0) return [];
+
+  const averageLength =
+    entries.reduce((sum, [, doc]) => sum + doc.length, 0) / entries.length || 1;
+  const documentFrequency = Object.fromEntries(
+    queryTerms.map((term) => [
+      term,
+      entries.filter(([, doc]) => Object.hasOwn(doc.terms, term)).length,
+    ])
+  );
+
+  return entries
+    .map(([id, doc]) => {
+      const score = queryTerms.reduce((sum, term) => {
+        if (!Object.hasOwn(doc.terms, term)) return sum;
+        const frequency = doc.terms[term];
+        const df = documentFrequency[term];
+        const idf = Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+        return (
+          sum +
+          (idf * frequency * (K1 + 1)) /
+            (frequency + K1 * (1 - B + (B * doc.length) / averageLength))
+        );
+      }, 0);
+      return { id, score };
+    })
+    .filter((hit) => hit.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Drops chunks from the keyword index, e.g. after a source was deleted
+ * @param {Array<string>} ids - Chunk IDs removed from the collection
+ * @param {Object} options - Resolved options
+ */
+export async function removeFromKeywordIndex(ids, options) {
+  const index = await readIndex(options);
+  if (!index) return;
+  ids.forEach((id) => delete index.documents[id]);
+  await writeIndex(index, options);
+}
@@ -0,0 +1,331 @@
+import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
+import { parse as parseCsv } from "csv-parse/sync";
+import { parse as parseHtml } from "node-html-parser";
+import mammoth from "mammoth";
+import path from "path";
+import fs from "fs/promises";
+import { splitMarkdownHeadings } from "./markdown.js";
+
+// Extensions picked up when walking directories or expanding globs.
+// Files named explicitly are always loaded, falling back to plain text.
+const TEXT_EXTENSIONS = new Set([
+  ".txt",
+  ".json",
+  ".xml",
+  ".yaml",
+  ".yml",
+  ".log",
+  ".rst",
+]);
+
+async function loadPdf(resolvedPath, source) {
+  // Handle PDF files using PDFLoader
+  console.log("Detected PDF file, using PDFLoader...");
+  const pdfLoader = new PDFLoader(resolvedPath);
+  const pdfDocuments = await pdfLoader.load();
+
+  // Add source metadata to each document
+  pdfDocuments.forEach((doc) => {
+    doc.metadata.source = source;
+    doc.metadata.filePath = resolvedPath;
+    doc.metadata.page = doc.metadata.loc?.pageNumber;
+    doc.metadata.loader = "pdf";
+  });
+
+  console.log(`✓ Loaded ${pdfDocuments.length} pages from PDF: ${source}`);
+  return pdfDocuments;
+}
+
+async function loadText(resolvedPath, source) {
+  // Handle text-based files (JSON, TXT, etc.)
+  const content = await fs.readFile(resolvedPath, "utf8");
+
+  if (!content) {
+    console.warn(`No content found in file: ${resolvedPath}`);
+    return [];
+  }
+
+  console.log(`✓ Loaded content from ${source}`);
+  return [
+    {
+      pageContent: content,
+      metadata: {
+        source,
+        filePath: resolvedPath,
+        loader: "text",
+      },
+    },
+  ];
+}
+
+/**
+ * Splits Markdown into one document per heading section.
+ * Headings inside fenced code blocks are ignored.
+ */
+async function loadMarkdown(resolvedPath, source) {
+  const content = await fs.readFile(resolvedPath, "utf8");
+  const sections = splitMarkdownHeadings(content)
+    .map(({ headingPath, lines }) => ({
+      headingPath,
+      text: lines
+        .map((line) => line.text)
+        .join("")
+        .replace(/\r\n/g, "\n")
+        .trim(),
+    }))
+    .filter((section) => section.text);
+
+  console.log(`✓ Loaded ${sections.length} sections from Markdown: ${source}`);
+  return sections.map(({ headingPath, text }, index) => ({
+    pageContent: text,
+    metadata: {
+      source,
+      filePath: resolvedPath,
+      loader: "markdown",
+      heading_path: headingPath.join(" > "),
+      section_index: index,
+    },
+  }));
+}
+
+// Elements whose text is taken as one block instead of walking their children
+const HTML_BLOCK_TAGS = new Set([
+  "p",
+  "li",
+  "pre",
+  "blockquote",
+  "dt",
+  "dd",
+  "figcaption",
+  "caption",
+]);
+
+/**
+ * Walks an HTML tree in document order and groups its text under the
+ * nearest preceding heading
+ * @param {string} html - HTML markup
+ * @returns {Array} - [{ headingPath, text }]
+ */
+function extractHtmlSections(html) {
+  const root = parseHtml(html);
+  root
+    .querySelectorAll("script, style, noscript, template, nav")
+    .forEach((node) => node.remove());
+
+  const sections = [];
+  const headingStack = [];
+  let current = { headingPath: [], blocks: [] };
+
+  const flush = () => {
+    const text = current.blocks.join("\n\n").trim();
+    if (text) sections.push({ headingPath: current.headingPath, text });
+  };
+
+  const walk = (node) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType === 3) {
+        const text = child.text.replace(/\s+/g, " ").trim();
+        if (text) current.blocks.push(text);
+        return;
+      }
+      if (child.nodeType !== 1) return;
+
+      const tag = child.rawTagName?.toLowerCase();
+      const text = child.text.replace(/\s+/g, " ").trim();
+      const headingLevel = /^h[1-6]$/.test(tag) ? Number(tag[1]) : 0;
+
+      if (headingLevel) {
+        flush();
+        headingStack.length = headingLevel - 1;
+        headingStack[headingLevel - 1] = text;
+        current = { headingPath: headingStack.filter(Boolean), blocks: [] };
+        if (text) current.blocks.push(text);
+      } else if (tag === "tr") {
+        const cells = child
+          .querySelectorAll("th, td")
+          .map((cell) => cell.text.replace(/\s+/g, " ").trim());
+        if (cells.some(Boolean)) current.blocks.push(cells.join(" | "));
+      } else if (HTML_BLOCK_TAGS.has(tag)) {
+        const blockText = tag === "pre" ? child.text.trim() : text;
+        if (blockText) current.blocks.push(blockText);
+      } else {
+        walk(child);
+      }
+    });
+  };
+
+  walk(root.querySelector("body") || root);
+  flush();
+  return sections;
+}
+
+async function loadHtml(resolvedPath, source) {
+  const html = await fs.readFile(resolvedPath, "utf8");
+  const sections = extractHtmlSections(html);
+
+  console.log(`✓ Loaded ${sections.length} sections from HTML: ${source}`);
+  return sections.map(({ headingPath, text }, index) => ({
+    pageContent: text,
+    metadata: {
+      source,
+      filePath: resolvedPath,
+      loader: "html",
+      heading_path: headingPath.join(" > "),
+      section_index: index,
+    },
+  }));
+}
+
+async function loadDocx(resolvedPath, source) {
+  // mammoth maps Word heading styles to <h1>-<h6>, so sections follow the document outline
+  const { value: html, messages } = await mammoth.convertToHtml({
+    path: resolvedPath,
+  });
+  messages
+    .filter((message) => message.type === "error")
+    .forEach((message) => console.warn(`DOCX warning: ${message.message}`));
+
+  const sections = extractHtmlSections(html);
+
+  console.log(`✓ Loaded ${sections.length} sections from DOCX: ${source}`);
+  return sections.map(({ headingPath, text }, index) => ({
+    pageContent: text,
+    metadata: {
+      source,
+      filePath: resolvedPath,
+      loader: "docx",
+      section: headingPath.join(" > "),
+      section_index: index,
+    },
+  }));
+}
+
+/**
+ * Loads CSV/TSV files as one document per row, written as "column: value" lines
+ */
+async function loadCsv(resolvedPath, source) {
+  const content = await fs.readFile(resolvedPath, "utf8");
+  const rows = parseCsv(content, {
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+    delimiter: path.extname(resolvedPath).toLowerCase() === ".tsv" ? "\t" : ",",
+  });
+
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  console.log(`✓ Loaded ${rows.length} rows from CSV: ${source}`);
+  return rows.map((row, index) => ({
+    pageContent: Object.entries(row)
+      .filter(([, value]) => value !== "" && value != null)
+      .map(([column, value]) => `${column}: ${value}`)
+      .join("\n"),
+    metadata: {
+      source,
+      filePath: resolvedPath,
+      loader: "csv",
+      row: index + 1,
+      columns: columns.join(", "),
+    },
+  }));
+}
+
+/**
+ * Loads JSON Lines files as one document per record, skipping unparseable lines
+ */
+async function loadJsonl(resolvedPath, source) {
+  const content = await fs.readFile(resolvedPath, "utf8");
+  const documents = [];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      documents.push({
+        pageContent: JSON.stringify(JSON.parse(line)),
+        metadata: {
+          source,
+          filePath: resolvedPath,
+          loader: "jsonl",
+          line: index + 1,
+        },
+      });
+    } catch (error) {
+      console.warn(
+        `Skipping invalid JSON on line ${index + 1}: ${error.message}`
+      );
+    }
+  });
+
+  console.log(`✓ Loaded ${documents.length} records from JSONL: ${source}`);
+  return documents;
+}
+
+// Values of metadata.loader, which name the file types chunking can be configured for
+export const LOADER_NAMES = [
+  "text",
+  "markdown",
+  "pdf",
+  "html",
+  "docx",
+  "csv",
+  "jsonl",
+];
+
+const LOADERS = {
+  ".pdf": loadPdf,
+  ".md": loadMarkdown,
+  ".markdown": loadMarkdown,
+  ".html": loadHtml,
+  ".htm": loadHtml,
+  ".docx": loadDocx,
+  ".csv": loadCsv,
+  ".tsv": loadCsv,
+  ".jsonl": loadJsonl,
+  ".ndjson": loadJsonl,
+};
+
+/**
+ * Tells whether a file has a type the loaders know how to handle
+ * @param {string} filePath - Path to the file
+ * @returns {boolean}
+ */
+export function isSupportedFile(filePath) {
+  const fileExtension = path.extname(filePath).toLowerCase();
+  return Boolean(LOADERS[fileExtension]) || TEXT_EXTENSIONS.has(fileExtension);
+}
+
+/**
+ * Loads a file into LangChain-style documents (one per PDF page, one per text file)
+ * @param {string} inputFilePath - Absolute or cwd-relative path to the file
+ * @param {Object} [options]
+ * @param {string} [options.source] - Source name stored in metadata, defaults to the file name
+ * @returns {Promise<Array>} - Documents with source and filePath metadata
+ */
+export async function loadContent(inputFilePath, { source } = {}) {
+  console.log("Loading content from input file...");
+
+  try {
+    // Resolve the file path (handle both absolute and relative paths)
+    const resolvedPath = path.isAbsolute(inputFilePath)
+      ? inputFilePath
+      : path.resolve(process.cwd(), inputFilePath);
+
+    console.log(`Reading file from: ${resolvedPath}`);
+
+    // Check file extension to determine how to load it
+    const fileExtension = path.extname(resolvedPath).toLowerCase();
+    const loader = LOADERS[fileExtension] || loadText;
+    const documents = await loader(
+      resolvedPath,
+      source || path.basename(resolvedPath)
+    );
+
+    console.log(`Loaded content from ${documents.length} documents/pages`);
+    return documents;
+  } catch (error) {
+    throw new Error(`Error reading file ${inputFilePath}: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
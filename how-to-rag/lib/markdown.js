@@ -0,0 +1,53 @@
+// Opening or closing line of a fenced code block
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Whether text starts with a code fence (``` or ~~~)
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isCodeFence(text) {
+  return FENCE_PATTERN.test(text);
+}
+
+/**
+ * Splits Markdown into heading sections. Headings inside fenced code blocks
+ * are ignored. Each section starts at its heading line (text before the first
+ * heading has none) and lines keep their endings, so the sections join back
+ * into the original text.
+ * @param {string} text
+ * @returns {Array<Object>} - [{ heading, headingPath, lines: [{ text, inFence }] }], where heading is the trimmed heading line or null and inFence marks lines of a code block, fences included
+ */
+export function splitMarkdownHeadings(text) {
+  const sections = [];
+  const headingStack = [];
+  let section = { heading: null, headingPath: [], lines: [] };
+  let fence = null;
+
+  text.split(/(?<=\n)/).forEach((line) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    const inFence = Boolean(fence || fenceMatch);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fence === fenceMatch[1]) fence = null;
+    }
+
+    const heading =
+      !inFence && line.replace(/\r?\n$/, "").match(HEADING_PATTERN);
+    if (heading) {
+      if (section.lines.length > 0) sections.push(section);
+      const level = heading[1].length;
+      headingStack.length = level - 1;
+      headingStack[level - 1] = heading[2];
+      section = {
+        heading: line.trim(),
+        headingPath: headingStack.filter(Boolean),
+        lines: [],
+      };
+    }
+    section.lines.push({ text: line, inFence });
+  });
+  if (section.lines.length > 0) sections.push(section);
+  return sections;
+}
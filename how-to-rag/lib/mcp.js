@@ -0,0 +1,266 @@
+import {
+  McpServer,
+  ResourceTemplate,
+} from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { z } from "zod";
+import { getRelevantChunks, getDocument } from "./query.js";
+import { listSources } from "./sources.js";
+import { createClient, resolveOptions } from "./chroma.js";
+import { dropCollection } from "./collections.js";
+import { addToChroma, ingest } from "./ingest.js";
+
+const SERVER_NAME = "how-to-rag";
+const SERVER_VERSION = "1.0.0";
+const SOURCE_URI_PREFIX = "rag://sources/";
+const MAX_RESULTS = 20;
+const MEMORY_URL = "memory:";
+
+/**
+ * Store backed by the Chroma collection, using the same retrieval as `rag query`
+ * @param {Object} [options] - url, collectionName and embedding overrides
+ * @returns {Object} - Store exposing search, getDocument and listSources
+ */
+export function createChromaStore(options = {}) {
+  options = resolveOptions(options);
+  return {
+    search: (queryText, searchOptions) =>
+      getRelevantChunks(queryText, { ...options, ...searchOptions }),
+    getDocument: (source) => getDocument(source, options),
+    listSources: () => listSources(options),
+  };
+}
+
+/**
+ * Store holding chunks in the in-process vector store (the one behind
+ * `--url memory:`), for running the server without Chroma. The chunks are
+ * embedded and searched like an ingested collection, so filters, scores and
+ * hybrid retrieval behave as they do with `rag query`.
+ * @param {Array<Object>} chunks - [{ content, metadata: { source, chunk_id, page } }]
+ * @param {Object} [options] - collectionName, embedding and retrieval overrides, plus addToChroma options
+ * @returns {Promise<Object>} - Store exposing search, getDocument and listSources
+ */
+export async function createMemoryStore(chunks, options = {}) {
+  options = await resetMemoryCollection(options);
+  await addToChroma(
+    chunks.map(({ content, metadata = {} }) => ({
+      pageContent: content,
+      metadata: { ...metadata },
+    })),
+    options
+  );
+  return createChromaStore(options);
+}
+
+/**
+ * Ingests files into a memory store, loading and chunking them the way
+ * `rag ingest` does, parent records included
+ * @param {Array<string>} inputs - Files, directories or globs
+ * @param {Object} [options] - Options as for ingest, minus url
+ * @returns {Promise<Object>} - Store exposing search, getDocument and listSources
+ */
+export async function loadMemoryStore(inputs, options = {}) {
+  options = await resetMemoryCollection(options);
+  const { files } = await ingest(inputs, options);
+  console.log(
+    `Serving ${files.filter((file) => file.status === "ok").length} files from memory`
+  );
+  return createChromaStore(options);
+}
+
+// The memory store lives as long as the process, so start from an empty
+// collection in case an earlier store used the same name
+async function resetMemoryCollection(options) {
+  options = resolveOptions({ ...options, url: MEMORY_URL });
+  const client = createClient(options);
+  if ((await client.listCollections()).includes(options.collectionName)) {
+    await dropCollection(options.collectionName, options);
+  }
+  return options;
+}
+
+function formatResults(results) {
+  if (results.length === 0) return "No matching passages.";
+  return results
+    .map((result, idx) => {
+      const location = [
+        result.page != null ? `page ${result.page}` : null,
+        result.chunkId != null ? `chunk ${result.chunkId}` : null,
+      ]
+        .filter(Boolean)
+        .join(", ");
+      return `[${idx + 1}] ${result.source}${
+        location ? ` (${location})` : ""
+      } relevance ${result.relevanceScore.toFixed(3)}\n${result.content}`;
+    })
+    .join("\n\n---\n\n");
+}
+
+function textResult(text, isError = false) {
+  return { content: [{ type: "text", text }], isError };
+}
+
+function sourceUri(source) {
+  return `${SOURCE_URI_PREFIX}${encodeURIComponent(source)}`;
+}
+
+/**
+ * Creates a Model Context Protocol server exposing the indexed documents as
+ * the search_documents, get_document and list_sources tools, and every
+ * source as a rag://sources/<name> resource
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store to serve, defaults to createChromaStore(options)
+ * @param {string} [options.url] - ChromaDB URL for the default store
+ * @param {string} [options.collectionName] - Collection for the default store
+ * @param {Object} [options.embedding] - Embeddings for the default store
+ * @returns {McpServer} - Not yet connected to a transport
+ */
+export function createMcpServer(options = {}) {
+  const store = options.store || createChromaStore(options);
+  const server = new McpServer({ name: SERVER_NAME, version: SERVER_VERSION });
+
+  server.registerTool(
+    "search_documents",
+    {
+      title: "Search documents",
+      description:
+        "Search the indexed documents and return the most relevant passages with their source, page and relevance score (0 to 1).",
+      inputSchema: {
+        query: z.string().min(1).describe("What to search for"),
+        nResults: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_RESULTS)
+          .optional()
+          .describe("Number of passages to return (default: 5)"),
+        sources: z
+          .array(z.string())
+          .optional()
+          .describe("Only search these sources, as named by list_sources"),
+        filters: z
+          .array(z.string())
+          .optional()
+          .describe(
+            'Metadata filters such as "page=10..20" or "category=[dev,ops]"; all must match'
+          ),
+      },
+    },
+    async ({ query, nResults = 5, sources, filters }) => {
+      try {
+        const results = await store.search(query, {
+          nResults,
+          source: sources,
+          filters,
+        });
+        return textResult(formatResults(results));
+      } catch (error) {
+        return textResult(`Search failed: ${error.message}`, true);
+      }
+    }
+  );
+
+  server.registerTool(
+    "get_document",
+    {
+      title: "Get document",
+      description:
+        "Return the full text of one indexed source, reassembled from its stored pages, sections or chunks.",
+      inputSchema: {
+        source: z
+          .string()
+          .min(1)
+          .describe(
+            "Source name, as returned by list_sources or search_documents"
+          ),
+      },
+    },
+    async ({ source }) => {
+      try {
+        const document = await store.getDocument(source);
+        if (!document) {
+          return textResult(
+            `No source named "${source}". Call list_sources for the indexed sources.`,
+            true
+          );
+        }
+        return textResult(document.content);
+      } catch (error) {
+        return textResult(`Reading ${source} failed: ${error.message}`, true);
+      }
+    }
+  );
+
+  server.registerTool(
+    "list_sources",
+    {
+      title: "List sources",
+      description: "List the indexed sources with their chunk counts.",
+    },
+    async () => {
+      try {
+        const sources = await store.listSources();
+        if (sources.length === 0) return textResult("No sources indexed.");
+        return textResult(
+          sources
+            .map(({ source, chunks }) => `${source}\t${chunks} chunks`)
+            .join("\n")
+        );
+      } catch (error) {
+        return textResult(`Listing sources failed: ${error.message}`, true);
+      }
+    }
+  );
+
+  server.registerResource(
+    "source",
+    new ResourceTemplate(`${SOURCE_URI_PREFIX}{source}`, {
+      list: async () => ({
+        resources: (await store.listSources()).map(({ source, chunks }) => ({
+          uri: sourceUri(source),
+          name: source,
+          description: `${chunks} chunks`,
+          mimeType: "text/plain",
+        })),
+      }),
+    }),
+    {
+      title: "Indexed source",
+      description: "Full text of an indexed source",
+      mimeType: "text/plain",
+    },
+    async (uri, { source }) => {
+      const name = decodeURIComponent(source);
+      const document = await store.getDocument(name);
+      if (!document) {
+        throw new Error(`No source named "${name}"`);
+      }
+      return {
+        contents: [
+          { uri: uri.href, mimeType: "text/plain", text: document.content },
+        ],
+      };
+    }
+  );
+
+  return server;
+}
+
+/**
+ * Serves the MCP server over stdio until the client disconnects. stdout
+ * carries the protocol, so the caller must keep its own logging off it.
+ * @param {Object} [options] - Options for createMcpServer
+ * @returns {Promise<void>} - Resolves when the connection closes
+ */
+export async function startMcpServer(options = {}) {
+  const server = createMcpServer(options);
+  const transport = new StdioServerTransport();
+  const closed = new Promise((resolve) => {
+    transport.onclose = resolve;
+  });
+  await server.connect(transport);
+  // The transport doesn't notice the client closing stdin on its own
+  process.stdin.once("end", () => server.close());
+  console.error(`${SERVER_NAME} MCP server ready on stdio`);
+  await closed;
+}
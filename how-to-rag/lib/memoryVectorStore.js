@@ -0,0 +1,309 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { matchesWhere, matchesWhereDocument } from "./filters.js";
+import { computeDistance, getDistanceMetric } from "./scoring.js";
+
+const STORE_VERSION = 1;
+
+const DEFAULT_GET_INCLUDE = ["metadatas", "documents"];
+const DEFAULT_QUERY_INCLUDE = ["metadatas", "documents", "distances"];
+
+// One store per file (or per process for memory-only), so every module that
+// opens a client sees the same records
+const stores = new Map();
+
+function pick(records, include) {
+  return {
+    ids: records.map((record) => record.id),
+    embeddings: include.includes("embeddings")
+      ? records.map((record) => record.embedding)
+      : null,
+    metadatas: include.includes("metadatas")
+      ? records.map((record) => record.metadata)
+      : null,
+    documents: include.includes("documents")
+      ? records.map((record) => record.document)
+      : null,
+    included: include,
+  };
+}
+
+function createCollection(state, name, persist) {
+  const data = state.collections[name];
+
+  const checkEmbeddings = (ids, embeddings) => {
+    if (!Array.isArray(embeddings) || embeddings.length !== ids.length) {
+      throw new Error(
+        `Collection "${name}" stores precomputed embeddings; pass one per ID`
+      );
+    }
+    embeddings.forEach((embedding) => {
+      data.dimension ??= embedding.length;
+      if (embedding.length !== data.dimension) {
+        throw new Error(
+          `Embedding dimension ${embedding.length} does not match collection dimensionality ${data.dimension}`
+        );
+      }
+    });
+  };
+
+  const toRecord = (params, idx) => ({
+    id: params.ids[idx],
+    embedding: Array.from(params.embeddings[idx]),
+    metadata: params.metadatas?.[idx] ?? null,
+    document: params.documents?.[idx] ?? null,
+  });
+
+  const select = ({ ids, where, whereDocument }) => {
+    const wanted = ids ? new Set([ids].flat()) : null;
+    return Object.values(data.records).filter(
+      (record) =>
+        (!wanted || wanted.has(record.id)) &&
+        matchesWhere(record.metadata, where) &&
+        matchesWhereDocument(record.document, whereDocument)
+    );
+  };
+
+  return {
+    name,
+    id: data.id,
+    metadata: data.metadata,
+
+    async add(params) {
+      checkEmbeddings(params.ids, params.embeddings);
+      // Like Chroma, adding an existing ID leaves the stored record alone
+      params.ids.forEach((id, idx) => {
+        if (!Object.hasOwn(data.records, id)) {
+          data.records[id] = toRecord(params, idx);
+        }
+      });
+      await persist();
+    },
+
+    async upsert(params) {
+      checkEmbeddings(params.ids, params.embeddings);
+      params.ids.forEach((id, idx) => {
+        data.records[id] = toRecord(params, idx);
+      });
+      await persist();
+    },
+
+    async update(params) {
+      if (params.embeddings) checkEmbeddings(params.ids, params.embeddings);
+      params.ids.forEach((id, idx) => {
+        const record = data.records[id];
+        if (!record) return;
+        if (params.embeddings) {
+          record.embedding = Array.from(params.embeddings[idx]);
+        }
+        if (params.metadatas) record.metadata = params.metadatas[idx];
+        if (params.documents) record.document = params.documents[idx];
+      });
+      await persist();
+    },
+
+    async get(params = {}) {
+      const { limit, offset = 0, include = DEFAULT_GET_INCLUDE } = params;
+      const records = select(params).slice(
+        offset,
+        limit === undefined ? undefined : offset + limit
+      );
+      return pick(records, include);
+    },
+
+    async query(params) {
+      const {
+        queryEmbeddings,
+        nResults = 10,
+        include = DEFAULT_QUERY_INCLUDE,
+      } = params;
+      const candidates = select(params);
+      const metric = getDistanceMetric(data);
+
+      const results = queryEmbeddings.map((queryEmbedding) =>
+        candidates
+          .map((record) => ({
+            record,
+            distance: computeDistance(queryEmbedding, record.embedding, metric),
+          }))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, nResults)
+      );
+      const picked = results.map((ranked) =>
+        pick(
+          ranked.map(({ record }) => record),
+          include
+        )
+      );
+      return {
+        ids: picked.map((entry) => entry.ids),
+        embeddings: include.includes("embeddings")
+          ? picked.map((entry) => entry.embeddings)
+          : null,
+        metadatas: include.includes("metadatas")
+          ? picked.map((entry) => entry.metadatas)
+          : null,
+        documents: include.includes("documents")
+          ? picked.map((entry) => entry.documents)
+          : null,
+        distances: include.includes("distances")
+          ? results.map((ranked) => ranked.map(({ distance }) => distance))
+          : null,
+        included: include,
+      };
+    },
+
+    async delete(params = {}) {
+      const removed = select(params).map((record) => record.id);
+      removed.forEach((id) => delete data.records[id]);
+      await persist();
+      return removed;
+    },
+
+    async count() {
+      return Object.keys(data.records).length;
+    },
+
+    async modify({ name: newName, metadata } = {}) {
+      if (newName !== undefined && newName !== this.name) {
+        if (Object.hasOwn(state.collections, newName)) {
+          throw new Error(`Collection ${newName} already exists.`);
+        }
+        delete state.collections[this.name];
+        state.collections[newName] = data;
+        this.name = newName;
+      }
+      if (metadata !== undefined) {
+        data.metadata = metadata;
+        this.metadata = metadata;
+      }
+      await persist();
+      return { name: this.name, metadata: this.metadata };
+    },
+  };
+}
+
+async function readStore(file) {
+  try {
+    const state = JSON.parse(await fs.readFile(file, "utf8"));
+    if (state.version !== STORE_VERSION) {
+      throw new Error(`${file} is not a vector store file`);
+    }
+    return state;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { version: STORE_VERSION, collections: {} };
+    }
+    throw new Error(`Cannot read vector store ${file}: ${error.message}`);
+  }
+}
+
+function openStore(file) {
+  let state;
+  let loading;
+  const load = () => {
+    loading ??= (file ? readStore(file) : Promise.resolve(null)).then(
+      (loaded) => {
+        state = loaded || { version: STORE_VERSION, collections: {} };
+      }
+    );
+    return loading;
+  };
+
+  // Writes are chained, and a write still waiting in the chain covers every
+  // change made before it starts, so bursts of batches cost one write each
+  let writes = Promise.resolve();
+  let pending = null;
+  const persist = () => {
+    if (!file) return Promise.resolve();
+    pending ??= writes.then(async () => {
+      pending = null;
+      await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      const temporary = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(state));
+      await fs.rename(temporary, file);
+    });
+    const write = pending;
+    // A failed write is reported to its callers; later writes still run
+    writes = write.catch(() => {});
+    return write;
+  };
+
+  const requireCollection = (name) => {
+    if (!Object.hasOwn(state.collections, name)) {
+      throw new Error(`Collection ${name} does not exist.`);
+    }
+    return createCollection(state, name, persist);
+  };
+
+  return {
+    async heartbeat() {
+      await load();
+      return Date.now() * 1e6;
+    },
+
+    async listCollections() {
+      await load();
+      return Object.keys(state.collections);
+    },
+
+    async countCollections() {
+      await load();
+      return Object.keys(state.collections).length;
+    },
+
+    async getCollection({ name }) {
+      await load();
+      return requireCollection(name);
+    },
+
+    async createCollection({ name, metadata }) {
+      await load();
+      if (Object.hasOwn(state.collections, name)) {
+        throw new Error(`Collection ${name} already exists.`);
+      }
+      state.collections[name] = {
+        id: randomUUID(),
+        metadata: metadata ?? null,
+        dimension: null,
+        records: {},
+      };
+      await persist();
+      return requireCollection(name);
+    },
+
+    async getOrCreateCollection({ name, metadata }) {
+      await load();
+      if (Object.hasOwn(state.collections, name)) {
+        return requireCollection(name);
+      }
+      return this.createCollection({ name, metadata });
+    },
+
+    async deleteCollection({ name }) {
+      await load();
+      requireCollection(name);
+      delete state.collections[name];
+      await persist();
+    },
+  };
+}
+
+/**
+ * Opens a vector store kept in this process, optionally saved to a JSON file
+ * after every change. It answers the subset of the ChromaDB client and
+ * collection API this package uses, with exact (brute-force) nearest
+ * neighbour search, so it suits tests, CI and small offline corpora.
+ * Clients for the same file share one store; separate processes don't
+ * coordinate, so only one should write a file at a time.
+ * @param {Object} [options]
+ * @param {string} [options.path] - JSON file to load from and save to; memory only when unset
+ * @returns {Object} - Client with heartbeat, listCollections, countCollections, getCollection, createCollection, getOrCreateCollection and deleteCollection
+ */
+export function createMemoryVectorStore(options = {}) {
+  const file = options.path ? path.resolve(options.path) : null;
+  const key = file ?? "memory";
+  if (!stores.has(key)) stores.set(key, openStore(file));
+  return stores.get(key);
+}
@@ -0,0 +1,199 @@
+import { createClient } from "./chroma.js";
+
+// Parent records are only ever read by ID or source, never searched, so
+// they live in a sibling collection with a placeholder one-number embedding
+const PARENT_COLLECTION_SUFFIX = "__parents";
+const PLACEHOLDER_EMBEDDING = [0];
+const BATCH_SIZE = 100;
+
+export const PARENT_SCOPES = ["section", "source"];
+
+// Structural metadata worth keeping on a parent; the rest is per-chunk
+const PARENT_METADATA_KEYS = ["page", "heading_path", "section", "row", "line"];
+
+/**
+ * Name of the collection holding the parent records of a collection
+ * @param {string} collectionName
+ * @returns {string}
+ */
+export function parentCollectionName(collectionName) {
+  return `${collectionName}${PARENT_COLLECTION_SUFFIX}`;
+}
+
+/**
+ * Tells whether a collection is a parent store rather than a chunk collection
+ * @param {string} collectionName
+ * @returns {boolean}
+ */
+export function isParentCollection(collectionName) {
+  return collectionName.endsWith(PARENT_COLLECTION_SUFFIX);
+}
+
+/**
+ * Groups loaded documents into parent records and tags every document with its
+ * parent_id, which the chunks split from it inherit.
+ * With scope "section" each loaded document (PDF page, heading section, CSV row,
+ * whole text file) is a parent; with "source" the whole file is.
+ * @param {Array} documents - Output of loadContent, modified in place
+ * @param {string} [scope] - "section" (default) or "source"
+ * @returns {Array<Object>} - [{ id, content, metadata }] in document order
+ */
+export function buildParents(documents, scope = "section") {
+  if (!PARENT_SCOPES.includes(scope)) {
+    throw new Error(
+      `Unknown parent scope "${scope}". Use one of: ${PARENT_SCOPES.join(", ")}`
+    );
+  }
+
+  const parents = new Map();
+  const countBySource = new Map();
+
+  documents.forEach((document) => {
+    const source = document.metadata.source || "unknown";
+    const index = countBySource.get(source) || 0;
+    const parentId = scope === "source" ? source : `${source}#${index}`;
+    document.metadata.parent_id = parentId;
+
+    if (!parents.has(parentId)) {
+      countBySource.set(source, index + 1);
+      const metadata = { source, parent_id: parentId, parent_index: index };
+      if (scope === "section") {
+        PARENT_METADATA_KEYS.forEach((key) => {
+          const value = document.metadata[key];
+          if (["string", "number", "boolean"].includes(typeof value)) {
+            metadata[key] = value;
+          }
+        });
+      }
+      parents.set(parentId, { id: parentId, contents: [], metadata });
+    }
+    parents.get(parentId).contents.push(document.pageContent);
+  });
+
+  return Array.from(parents.values()).map(({ id, contents, metadata }) => ({
+    id,
+    content: contents.join("\n\n"),
+    metadata,
+  }));
+}
+
+async function openParentCollection(options, create = false) {
+  const client = createClient(options);
+  const name = parentCollectionName(options.collectionName);
+  try {
+    return create
+      ? await client.getOrCreateCollection({
+          name,
+          metadata: { parent_of: options.collectionName },
+        })
+      : await client.getCollection({ name });
+  } catch (e) {
+    if (create) throw e;
+    return null;
+  }
+}
+
+/**
+ * Replaces the stored parent records of the given sources
+ * @param {Array<Object>} parents - Output of buildParents
+ * @param {Object} options - Resolved options (url, collectionName)
+ */
+export async function replaceParents(parents, options) {
+  if (parents.length === 0) return;
+  const collection = await openParentCollection(options, true);
+  const sources = [...new Set(parents.map((parent) => parent.metadata.source))];
+
+  await collection.delete({
+    where:
+      sources.length === 1
+        ? { source: sources[0] }
+        : { source: { $in: sources } },
+  });
+
+  for (let i = 0; i < parents.length; i += BATCH_SIZE) {
+    const batch = parents.slice(i, i + BATCH_SIZE);
+    await collection.add({
+      ids: batch.map((parent) => parent.id),
+      embeddings: batch.map(() => PLACEHOLDER_EMBEDDING),
+      metadatas: batch.map((parent) => parent.metadata),
+      documents: batch.map((parent) => parent.content),
+    });
+  }
+  console.log(`Stored ${parents.length} parent records`);
+}
+
+/**
+ * Reads parent records by ID
+ * @param {Array<string>} parentIds - parent_id values from chunk metadata
+ * @param {Object} options - Resolved options
+ * @returns {Promise<Map>} - parent_id -> { content, metadata }; empty when no parents were stored
+ */
+export async function getParents(parentIds, options) {
+  const parents = new Map();
+  const collection = await openParentCollection(options);
+  if (!collection || parentIds.length === 0) return parents;
+
+  const { ids, documents, metadatas } = await collection.get({
+    ids: parentIds,
+    include: ["documents", "metadatas"],
+  });
+  ids.forEach((id, idx) => {
+    parents.set(id, { content: documents[idx], metadata: metadatas[idx] });
+  });
+  return parents;
+}
+
+/**
+ * Reads every parent record of a source in document order
+ * @param {string} source - Source name
+ * @param {Object} options - Resolved options
+ * @returns {Promise<Array<Object>>} - [{ content, metadata }], empty when no parents were stored
+ */
+export async function getSourceParents(source, options) {
+  const collection = await openParentCollection(options);
+  if (!collection) return [];
+
+  const { documents, metadatas } = await collection.get({
+    where: { source },
+    include: ["documents", "metadatas"],
+  });
+  return documents
+    .map((content, idx) => ({ content, metadata: metadatas[idx] }))
+    .sort((a, b) => a.metadata.parent_index - b.metadata.parent_index);
+}
+
+/**
+ * Reads every parent record of the given sources, with its ID
+ * @param {Array<string>} sources - Source names
+ * @param {Object} options - Resolved options
+ * @returns {Promise<Array<Object>>} - [{ id, content, metadata }], empty when no parents were stored
+ */
+export async function readParents(sources, options) {
+  const collection = await openParentCollection(options);
+  if (!collection || sources.length === 0) return [];
+
+  const { ids, documents, metadatas } = await collection.get({
+    where:
+      sources.length === 1
+        ? { source: sources[0] }
+        : { source: { $in: sources } },
+    include: ["documents", "metadatas"],
+  });
+  return ids.map((id, idx) => ({
+    id,
+    content: documents[idx],
+    metadata: metadatas[idx],
+  }));
+}
+
+/**
+ * Removes the parent records of a source
+ * @param {string} source - Source name
+ * @param {Object} options - Resolved options
+ */
+export async function deleteParents(source, options) {
+  const collection = await openParentCollection(options);
+  if (collection) {
+    await collection.delete({ where: { source } });
+  }
+}
@@ -0,0 +1,498 @@
+import { resolveOptions, getCollection } from "./chroma.js";
+import {
+  createEmbeddings,
+  describeEmbeddings,
+  assertCompatibleEmbeddings,
+} from "./embeddings.js";
+import { buildWhere } from "./filters.js";
+import {
+  computeDistance,
+  distanceToScore,
+  getDistanceMetric,
+} from "./scoring.js";
+import { loadKeywordIndex, searchKeywordIndex } from "./keywordIndex.js";
+import { fuseRankings } from "./hybrid.js";
+import { createReranker, maximalMarginalRelevance } from "./rerank.js";
+import { expandMatches, readSource } from "./expand.js";
+import { buildContext } from "./context.js";
+
+export const DEFAULT_N_RESULTS = 5;
+
+// Share of the fused ranking given to BM25 keyword matches; 0 is pure vector search
+export const DEFAULT_KEYWORD_WEIGHT = 0.5;
+
+// Unless fetchK says otherwise, each retriever contributes this many times
+// nResults candidates to the fusion, and the reranking stage re-scores a pool
+// of the same size
+const CANDIDATE_FACTOR = 4;
+
+export const DEFAULT_MMR_LAMBDA = 0.5;
+
+/**
+ * Accepts either an options object or the legacy positional nResults
+ * @param options Options object or a number of results
+ * @returns Resolved options with nResults defaulting to 5, minScore to 0,
+ * keywordWeight to DEFAULT_KEYWORD_WEIGHT and the combined where clause
+ */
+function toQueryOptions(options = {}) {
+  const queryOptions =
+    typeof options === "number" ? { nResults: options } : options;
+  const resolved = resolveOptions({
+    nResults: DEFAULT_N_RESULTS,
+    minScore: 0,
+    ...queryOptions,
+  });
+  if (resolved.fetchK != null && resolved.fetchK < resolved.nResults) {
+    throw new Error(
+      `fetchK (${resolved.fetchK}) must be at least nResults (${resolved.nResults})`
+    );
+  }
+  return {
+    ...resolved,
+    keywordWeight: resolved.keywordWeight ?? DEFAULT_KEYWORD_WEIGHT,
+    whereClause: buildWhere(queryOptions),
+  };
+}
+
+/**
+ * Embeds the query text, refusing collections built by another embedding model
+ * @param collection ChromaDB collection to query
+ * @param queryText The text to embed
+ * @param options Resolved query options
+ * @returns The query embedding
+ */
+async function embedQuery(collection, queryText, options) {
+  const embedding = createEmbeddings(options.embedding);
+  const queryEmbedding = await embedding.embedQuery(queryText);
+  assertCompatibleEmbeddings(
+    collection.metadata,
+    await describeEmbeddings(embedding, queryEmbedding),
+    options.collectionName
+  );
+  return queryEmbedding;
+}
+
+/**
+ * Re-scores an over-fetched candidate pool down to nResults, either by Maximal
+ * Marginal Relevance over the stored embeddings or with a reranker
+ * @param collection ChromaDB collection the candidates came from
+ * @param queryText The query
+ * @param queryEmbedding The query embedding
+ * @param chunks Candidate chunks, best first
+ * @param options Resolved query options (rerank, mmrLambda, rerankModel, rerankProvider, nResults)
+ * @returns Up to nResults chunks with a rerankScore, best first
+ */
+async function rerankChunks(
+  collection,
+  queryText,
+  queryEmbedding,
+  chunks,
+  options
+) {
+  if (chunks.length === 0) return chunks;
+
+  if (options.rerank === "mmr") {
+    const { ids, embeddings } = await collection.get({
+      ids: chunks.map((chunk) => chunk.id),
+      include: ["embeddings"],
+    });
+    const embeddingById = new Map(ids.map((id, idx) => [id, embeddings[idx]]));
+    return maximalMarginalRelevance(
+      queryEmbedding,
+      chunks.map((chunk) => embeddingById.get(chunk.id)),
+      options.nResults,
+      options.mmrLambda ?? DEFAULT_MMR_LAMBDA,
+      getDistanceMetric(collection)
+    ).map(({ index, score }) => ({ ...chunks[index], rerankScore: score }));
+  }
+
+  const reranker = createReranker(options.rerank, options);
+  const scores = await reranker.score(
+    queryText,
+    chunks.map((chunk) => chunk.content)
+  );
+  return chunks
+    .map((chunk, idx) => ({ ...chunk, rerankScore: scores[idx] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore)
+    .slice(0, options.nResults);
+}
+
+/**
+ * Hybrid retrieval: ranks chunks by embedding similarity and by BM25 keyword
+ * score, then merges both rankings with reciprocal rank fusion.
+ * minScore applies to both rankings: a keyword match is kept only when its
+ * embedding also scores at least minScore against the query.
+ * Each ranking draws fetchK candidates (default: 4 x nResults); with
+ * options.rerank set, that pool is re-scored by rerankChunks.
+ * @param collection ChromaDB collection to search
+ * @param queryText The text to search for
+ * @param options Resolved query options
+ * @returns Up to nResults chunks, best first, with id, content, metadata,
+ * relevanceScore (vector similarity, 0..1), keywordScore (BM25), fusedScore
+ * and rerankScore when reranked
+ */
+async function searchChunks(collection, queryText, options) {
+  const { nResults, keywordWeight, whereClause } = options;
+  const metric = getDistanceMetric(collection);
+  const queryEmbedding = await embedQuery(collection, queryText, options);
+  const candidates =
+    keywordWeight > 0 || options.rerank
+      ? (options.fetchK ?? nResults * CANDIDATE_FACTOR)
+      : nResults;
+
+  const chunksById = new Map();
+  const vectorIds = [];
+  if (keywordWeight < 1) {
+    const results = await collection.query({
+      queryEmbeddings: [queryEmbedding],
+      nResults: candidates,
+      where: whereClause,
+      include: ["metadatas", "documents", "distances"],
+    });
+    results.ids[0].forEach((id, index) => {
+      const relevanceScore = distanceToScore(
+        results.distances[0][index],
+        metric
+      );
+      if (relevanceScore < options.minScore) return;
+      chunksById.set(id, {
+        id,
+        content: results.documents[0][index],
+        metadata: results.metadatas[0][index] || {},
+        relevanceScore,
+        keywordScore: 0,
+      });
+      vectorIds.push(id);
+    });
+  }
+
+  const keywordIds = [];
+  if (keywordWeight > 0) {
+    const index = await loadKeywordIndex(collection, options);
+    // Filters are applied after ranking, so over-fetch when there are any
+    const hits = searchKeywordIndex(
+      index,
+      queryText,
+      whereClause ? candidates * 5 : candidates
+    );
+
+    if (hits.length > 0) {
+      const fetched = await collection.get({
+        ids: hits.map((hit) => hit.id),
+        where: whereClause,
+        include: ["documents", "metadatas", "embeddings"],
+      });
+      const positions = new Map(fetched.ids.map((id, idx) => [id, idx]));
+
+      hits
+        .filter((hit) => positions.has(hit.id))
+        .slice(0, candidates)
+        .forEach((hit) => {
+          const idx = positions.get(hit.id);
+          if (!chunksById.has(hit.id)) {
+            const relevanceScore = distanceToScore(
+              computeDistance(queryEmbedding, fetched.embeddings[idx], metric),
+              metric
+            );
+            if (relevanceScore < options.minScore) return;
+            chunksById.set(hit.id, {
+              id: hit.id,
+              content: fetched.documents[idx],
+              metadata: fetched.metadatas[idx] || {},
+              relevanceScore,
+            });
+          }
+          chunksById.get(hit.id).keywordScore = hit.score;
+          keywordIds.push(hit.id);
+        });
+    }
+  }
+
+  const fused = fuseRankings(
+    [vectorIds, keywordIds],
+    [1 - keywordWeight, keywordWeight]
+  ).map(({ id, score }) => ({ ...chunksById.get(id), fusedScore: score }));
+
+  if (!options.rerank) return fused.slice(0, nResults);
+  return rerankChunks(
+    collection,
+    queryText,
+    queryEmbedding,
+    fused.slice(0, candidates),
+    options
+  );
+}
+
+/**
+ * Searches each of options.collections on its own, with its own keyword
+ * index and embedding check, then merges the rankings with reciprocal rank
+ * fusion: scores from different collections aren't comparable, ranks are.
+ * @param queryText The text to search for
+ * @param options Resolved query options with collections set
+ * @returns Up to nResults chunks, best first, each tagged with its collection
+ */
+async function searchCollections(queryText, options) {
+  const chunksByKey = new Map();
+  const rankings = [];
+  for (const collectionName of options.collections) {
+    const collectionOptions = { ...options, collectionName };
+    const collection = await getCollection(collectionOptions);
+    const matches = await searchChunks(
+      collection,
+      queryText,
+      collectionOptions
+    );
+    rankings.push(
+      matches.map((match) => {
+        const key = `${collectionName}\n${match.id}`;
+        chunksByKey.set(key, { ...match, collection: collectionName });
+        return key;
+      })
+    );
+  }
+
+  return fuseRankings(
+    rankings,
+    rankings.map(() => 1)
+  )
+    .slice(0, options.nResults)
+    .map(({ id }) => chunksByKey.get(id));
+}
+
+/**
+ * Searches the collection named by the options, or every collection in
+ * options.collections
+ * @param queryText The text to search for
+ * @param options Resolved query options
+ * @returns Ranked chunks, see searchChunks
+ */
+async function findChunks(queryText, options) {
+  if (options.collections?.length > 0) {
+    return searchCollections(queryText, options);
+  }
+  const collection = await getCollection(options);
+  return searchChunks(collection, queryText, options);
+}
+
+/**
+ * Searches the collection and returns the top matching chunks
+ * @param queryText The text to search for
+ * @param options.nResults Number of results to return
+ * @param options.source Restrict the search to one or more sources
+ * @param options.where Chroma where clause to apply, e.g. { page: { $gte: 10 } }
+ * @param options.filters Filter expressions such as "page=10..20" or "category=[dev,ops]"
+ * @param options.minScore Drop matches, vector or keyword, scoring below this relevance (0..1)
+ * @param options.keywordWeight Weight of BM25 keyword matches in the ranking, 0 (vector only) to 1 (keywords only)
+ * @param options.rerank Optional second stage: "mmr", "cross-encoder", "llm", "stub" or a reranker object
+ * @param options.fetchK Candidates to fetch for fusion and reranking, at least nResults (default: 4 x nResults)
+ * @param options.mmrLambda MMR trade-off, 1 for relevance only and 0 for diversity only (default: 0.5)
+ * @param options.rerankModel, options.rerankProvider Model for the cross-encoder or llm reranker
+ * @param options.url, options.collectionName, options.embedding Overrides for CHROMA_CONFIG
+ * @param options.collections Search these collections instead and merge their rankings; results carry their collection
+ * @returns Array of results with source, relevanceScore, keywordScore, rerankScore (when reranked), metadata and content (parsed as JSON when possible)
+ */
+export async function query(queryText, options = {}) {
+  options = toQueryOptions(options);
+
+  console.log(
+    `Getting relevant documents for query: "${queryText}" (limit: ${options.nResults})`
+  );
+  // Query for the most relevant results based on nResults parameter
+  const matches = await findChunks(queryText, options);
+
+  console.log(`Retrieved ${matches.length} results`);
+
+  return matches.map(
+    ({
+      content,
+      metadata,
+      collection,
+      relevanceScore,
+      keywordScore,
+      rerankScore,
+    }) => {
+      // Parse the JSON content
+      let parsedContent;
+      try {
+        parsedContent = JSON.parse(content);
+      } catch (error) {
+        parsedContent = { content };
+      }
+
+      return {
+        ...(collection ? { collection } : {}),
+        source: metadata.source || "Unknown",
+        relevanceScore: relevanceScore.toFixed(3),
+        keywordScore: keywordScore.toFixed(3),
+        rerankScore: rerankScore?.toFixed(3),
+        metadata: metadata,
+        content: parsedContent,
+      };
+    }
+  );
+}
+
+/**
+ * Groups document chunks by source and identifies documents that need full retrieval
+ * @param documents Array of document chunks
+ * @param metadatas Array of metadata objects corresponding to each chunk
+ * @param distances Array of distance scores corresponding to each chunk
+ * @param maxSources Number of most relevant sources to identify
+ * @param metric Distance metric of the collection, used to normalise scores
+ * @returns Array of source names and their relevance scores
+ */
+export function identifyRelevantSources(
+  documents,
+  metadatas,
+  distances,
+  maxSources = 5,
+  metric = "l2"
+) {
+  // Group chunks by source
+  const sourceMap = new Map();
+
+  documents[0].forEach((doc, i) => {
+    const metadata = metadatas[0][i];
+    const distance = distances[0][i];
+    const source = metadata.source;
+    const chunkId = metadata.chunk_id || 0;
+
+    if (!sourceMap.has(source)) {
+      sourceMap.set(source, {
+        chunks: [],
+        metadata: metadata,
+        minDistance: distance,
+      });
+    }
+
+    const sourceData = sourceMap.get(source);
+    sourceData.chunks.push({ content: doc, chunkId });
+    sourceData.minDistance = Math.min(sourceData.minDistance, distance);
+  });
+
+  // Get the maxSources most relevant sources
+  return Array.from(sourceMap.entries())
+    .sort((a, b) => a[1].minDistance - b[1].minDistance)
+    .slice(0, maxSources)
+    .map(([source, data]) => ({
+      source,
+      relevanceScore: distanceToScore(data.minDistance, metric),
+    }));
+}
+
+/**
+ * Retrieves the most relevant chunks for a query with their citation metadata
+ * @param queryText The text to search for
+ * @param options Options object (nResults, minScore, keywordWeight, rerank, fetchK, mmrLambda, source, where, filters, url, collectionName, collections, embedding) or a number of chunks
+ * @returns Array of chunks ordered by fused rank, each with content, source, page, chunkId, relevanceScore (0..1) and keywordScore, plus collection when searching several
+ */
+export async function getRelevantChunks(queryText, options = {}) {
+  options = toQueryOptions(options);
+  const matches = await findChunks(queryText, options);
+
+  return matches.map(
+    ({
+      content,
+      metadata,
+      collection,
+      relevanceScore,
+      keywordScore,
+      rerankScore,
+    }) => ({
+      ...(collection ? { collection } : {}),
+      content,
+      source: metadata.source || "Unknown",
+      page: metadata.page ?? null,
+      chunkId: metadata.chunk_id ?? null,
+      relevanceScore,
+      keywordScore,
+      rerankScore,
+      metadata,
+    })
+  );
+}
+
+/**
+ * Retrieves the most relevant passages for a query, expands them beyond the
+ * matched chunks and assembles them into a context within a token budget
+ * @param queryText The text to search for
+ * @param options Options object or a number of results. Takes the getRelevantChunks options plus:
+ * @param options.expand "source" (whole documents, the default), "parent" (each match's page or section) or "neighbors"
+ * @param options.window Chunks either side of each match for "neighbors" (default: 1)
+ * @param options.maxSources Distinct sources to include (default: 2 for "source", unlimited otherwise)
+ * @param options.tokenBudget Maximum tokens of the context; lower-ranked passages are truncated or dropped
+ * @param options.order "relevance" (default) or "position" to keep passages in document order
+ * @param options.encoding tiktoken encoding used to count tokens (default: o200k_base)
+ * @returns Object with the context text, its token count and the passages included and omitted
+ * @throws When options.collections is set: passages are expanded within one collection
+ */
+export async function getContext(queryText, options = {}) {
+  options = toQueryOptions(options);
+  if (options.collections?.length > 0) {
+    throw new Error(
+      "getContext expands passages within one collection; pass collectionName instead of collections"
+    );
+  }
+  const { nResults } = options;
+  const wholeSources = (options.expand || "source") === "source";
+
+  console.log(
+    `Getting relevant documents for query: "${queryText}" (limit: ${nResults})`
+  );
+  const collection = await getCollection(options);
+
+  // Whole-source mode ranks sources, so it looks at many more chunks
+  let matches;
+  try {
+    matches = await searchChunks(collection, queryText, {
+      ...options,
+      nResults: wholeSources ? Math.max(25, nResults * 5) : nResults,
+    });
+  } catch (error) {
+    console.warn("Error with initial query, trying with fewer results:", error);
+    matches = await searchChunks(collection, queryText, {
+      ...options,
+      nResults: wholeSources ? Math.max(10, nResults * 2) : nResults,
+    });
+  }
+
+  const passages = await expandMatches(collection, matches, options);
+  console.log(
+    "Relevant sources identified:",
+    [...new Set(passages.map((passage) => passage.source))].join(", ")
+  );
+
+  const context = buildContext(passages, options);
+  console.log(
+    `Built context from ${context.included.length} passages (${context.tokens} tokens)`
+  );
+  return context;
+}
+
+/**
+ * Retrieves the most relevant passages for a query as a single context string
+ * @param queryText The text to search for
+ * @param options Options object or a number of results, see getContext
+ * @returns Context string with one block per passage, or "" on error
+ */
+export async function getRelevantDocuments(queryText, options = {}) {
+  try {
+    const { text } = await getContext(queryText, options);
+    return text;
+  } catch (error) {
+    console.error("Error getting relevant documents:", error);
+    return "";
+  }
+}
+
+/**
+ * Reads the full text of one source, from its parent records or re-joined chunks
+ * @param source Source name as stored in metadata
+ * @param options url, collectionName and embedding overrides
+ * @returns Object with the source, its content and pages, or null when the collection has no such source
+ */
+export async function getDocument(source, options = {}) {
+  options = resolveOptions(options);
+  const collection = await getCollection(options);
+  return readSource(collection, source, options);
+}
@@ -0,0 +1,169 @@
+import { tokenize } from "./keywordIndex.js";
+import { computeDistance, distanceToScore } from "./scoring.js";
+
+export const RERANKERS = ["mmr", "cross-encoder", "llm", "stub"];
+
+const DEFAULT_CROSS_ENCODER = "Xenova/ms-marco-MiniLM-L-6-v2";
+
+const LLM_JUDGE_PROMPT = `Rate how useful each numbered passage is for answering the query.
+Reply with only a JSON array of integers from 0 (irrelevant) to 10 (answers it directly), one per passage, in order.`;
+
+/**
+ * Deterministic reranker for tests: the share of query terms found in the passage
+ */
+class StubReranker {
+  async score(queryText, documents) {
+    const queryTerms = new Set(tokenize(queryText));
+    return documents.map((document) => {
+      if (queryTerms.size === 0) return 0;
+      const terms = new Set(tokenize(document));
+      return (
+        [...queryTerms].filter((term) => terms.has(term)).length /
+        queryTerms.size
+      );
+    });
+  }
+}
+
+/**
+ * Scores query/passage pairs with a cross-encoder run locally by transformers.js.
+ * The model is downloaded on first use and cached like the local embeddings.
+ */
+class CrossEncoderReranker {
+  constructor(model = DEFAULT_CROSS_ENCODER) {
+    this.model = model;
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = import("@huggingface/transformers").then(
+        async ({ AutoTokenizer, AutoModelForSequenceClassification }) => ({
+          tokenizer: await AutoTokenizer.from_pretrained(this.model),
+          classifier: await AutoModelForSequenceClassification.from_pretrained(
+            this.model
+          ),
+        })
+      );
+    }
+    return this.loading;
+  }
+
+  async score(queryText, documents) {
+    const { tokenizer, classifier } = await this.load();
+    const inputs = tokenizer(new Array(documents.length).fill(queryText), {
+      text_pair: documents,
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await classifier(inputs);
+    // Squash the relevance logit into 0..1
+    return logits.tolist().map(([logit]) => 1 / (1 + Math.exp(-logit)));
+  }
+}
+
+/**
+ * Asks a chat model to grade every passage in one call
+ */
+class LlmReranker {
+  constructor(provider, model) {
+    this.provider = provider;
+    this.model = model;
+  }
+
+  async score(queryText, documents) {
+    // Loaded lazily: ask.js depends on query.js, which depends on this module
+    const { createChatModel, messageText } = await import("./ask.js");
+    const chatModel = createChatModel(this.provider, this.model);
+    const passages = documents
+      .map((document, index) => `[${index + 1}]\n${document}`)
+      .join("\n\n");
+
+    const response = await chatModel.invoke([
+      { role: "system", content: LLM_JUDGE_PROMPT },
+      { role: "user", content: `Query: ${queryText}\n\n${passages}` },
+    ]);
+    const text = messageText(response);
+
+    const grades = JSON.parse(text.match(/\[[\s\S]*\]/)?.[0] || "[]");
+    if (!Array.isArray(grades) || grades.length !== documents.length) {
+      throw new Error(
+        `LLM reranker returned ${grades.length} grades for ${documents.length} passages`
+      );
+    }
+    return grades.map((grade) => Number(grade) / 10 || 0);
+  }
+}
+
+/**
+ * Creates a reranker that re-scores retrieved passages against the query
+ * @param {string|Object} reranker - "cross-encoder", "llm", "stub", or an object exposing score(queryText, documents)
+ * @param {Object} [options]
+ * @param {string} [options.rerankModel] - Cross-encoder or chat model name
+ * @param {string} [options.rerankProvider] - Chat model provider for the llm reranker (default: openai)
+ * @returns {Object} - Reranker exposing score(queryText, documents) -> Promise<Array<number>>
+ */
+export function createReranker(reranker, options = {}) {
+  if (typeof reranker?.score === "function") {
+    return reranker;
+  }
+
+  switch (reranker) {
+    case "cross-encoder":
+      return new CrossEncoderReranker(options.rerankModel);
+    case "llm":
+      return new LlmReranker(
+        options.rerankProvider || "openai",
+        options.rerankModel
+      );
+    case "stub":
+      return new StubReranker();
+    default:
+      throw new Error(
+        `Unknown reranker "${reranker}". Use one of: ${RERANKERS.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Picks k candidates by Maximal Marginal Relevance: each step takes the
+ * candidate most similar to the query after penalising its similarity to the
+ * candidates already picked, so near-duplicate neighbours don't crowd the results
+ * @param {Array<number>} queryEmbedding - Query embedding
+ * @param {Array<Array<number>>} embeddings - Candidate embeddings
+ * @param {number} k - Number of candidates to pick
+ * @param {number} [lambda] - 1 ranks by relevance only, 0 by diversity only
+ * @param {string} [metric] - Collection distance metric
+ * @returns {Array<Object>} - [{ index, score }] in pick order, score being the MMR score
+ */
+export function maximalMarginalRelevance(
+  queryEmbedding,
+  embeddings,
+  k,
+  lambda = 0.5,
+  metric = "l2"
+) {
+  const similarity = (a, b) =>
+    distanceToScore(computeDistance(a, b, metric), metric);
+  const relevance = embeddings.map((embedding) =>
+    similarity(queryEmbedding, embedding)
+  );
+
+  const picked = [];
+  const remaining = new Set(embeddings.keys());
+  while (picked.length < k && remaining.size > 0) {
+    let best = null;
+    remaining.forEach((index) => {
+      const redundancy = Math.max(
+        0,
+        ...picked.map((pick) =>
+          similarity(embeddings[index], embeddings[pick.index])
+        )
+      );
+      const score = lambda * relevance[index] - (1 - lambda) * redundancy;
+      if (!best || score > best.score) best = { index, score };
+    });
+    picked.push(best);
+    remaining.delete(best.index);
+  }
+  return picked;
+}
@@ -0,0 +1,154 @@
+export const DEFAULT_RETRIES = 5;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 60000;
+
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function errorStatus(error) {
+  return error?.status ?? error?.statusCode ?? error?.response?.status;
+}
+
+/**
+ * Tells whether an embedding or Chroma error is worth retrying: rate limits,
+ * timeouts, server errors and dropped connections are; bad requests are not
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  const status = errorStatus(error);
+  if (status !== undefined) return RETRYABLE_STATUSES.has(Number(status));
+  if (RETRYABLE_CODES.has(error?.code ?? error?.cause?.code)) return true;
+  return (
+    error?.name === "ChromaConnectionError" ||
+    /rate limit|too many requests|timed? ?out|fetch failed|overloaded/i.test(
+      error?.message || ""
+    )
+  );
+}
+
+/**
+ * Milliseconds the server asked us to wait, from a Retry-After header
+ */
+function retryAfterMs(error) {
+  const headers = error?.headers ?? error?.response?.headers;
+  const value =
+    typeof headers?.get === "function"
+      ? headers.get("retry-after")
+      : headers?.["retry-after"];
+  if (value == null) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Runs an async operation, retrying retryable failures with exponential
+ * backoff and jitter. Rate-limit responses wait as long as the server asks.
+ * @param {Function} operation - Async function to run
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt (default: 5)
+ * @param {string} [options.label] - Name of the operation for log messages
+ * @param {Object} [options.rateLimiter] - Limiter from createRateLimiter, paused on rate-limit errors
+ * @returns {Promise<*>} - Result of the operation
+ */
+export async function withRetry(operation, options = {}) {
+  const {
+    retries = DEFAULT_RETRIES,
+    label = "operation",
+    rateLimiter,
+  } = options;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if (rateLimiter) await rateLimiter.acquire();
+      return await operation();
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+
+      const backoff = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+      const delay = Math.max(
+        retryAfterMs(error) ?? 0,
+        backoff / 2 + Math.random() * (backoff / 2)
+      );
+      if (Number(errorStatus(error)) === 429) {
+        // Hold back every worker sharing the limiter, not just this one
+        rateLimiter?.pause(delay);
+      }
+      console.warn(
+        `⚠️ ${label} failed (${error.message}); retry ${attempt + 1} of ${retries} in ${Math.round(
+          delay / 1000
+        )}s`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Spaces requests out to stay under a requests-per-minute budget, shared by
+ * concurrent workers
+ * @param {number} [requestsPerMinute] - Budget; unlimited when unset
+ * @returns {Object} - { acquire(): Promise, pause(ms) }
+ */
+export function createRateLimiter(requestsPerMinute) {
+  const interval =
+    requestsPerMinute > 0 ? Math.ceil(60000 / requestsPerMinute) : 0;
+  let nextSlot = 0;
+  let pausedUntil = 0;
+
+  return {
+    async acquire() {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot, pausedUntil);
+      nextSlot = slot + interval;
+      if (slot > now) await sleep(slot - now);
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+/**
+ * Maps items through an async function with at most `concurrency` running at once
+ * @param {Array} items
+ * @param {number} concurrency - Maximum operations in flight
+ * @param {Function} mapper - (item, index) => Promise
+ * @returns {Promise<Array>} - Results in item order; rejects with the first error once running work settles
+ */
+export async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure;
+
+  const worker = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await mapper(items[index], index);
+      } catch (error) {
+        failure ??= { error };
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from(
+      { length: Math.max(1, Math.min(concurrency, items.length)) },
+      worker
+    )
+  );
+  if (failure) throw failure.error;
+  return results;
+}
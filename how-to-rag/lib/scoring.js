@@ -0,0 +1,65 @@
+// Distance functions a collection can be created with ("hnsw:space")
+export const DISTANCE_METRICS = ["l2", "cosine", "ip"];
+
+/**
+ * Reads the distance metric a collection was created with
+ * @param {Object} collection - ChromaDB collection
+ * @returns {string} - "l2", "cosine" or "ip"; Chroma defaults to l2
+ */
+export function getDistanceMetric(collection) {
+  return collection?.metadata?.["hnsw:space"] || "l2";
+}
+
+/**
+ * Checks a distance metric name, throwing on anything Chroma does not support
+ * @param {string} distance - Metric name
+ * @returns {string} - The metric name
+ */
+export function assertDistanceMetric(distance) {
+  if (!DISTANCE_METRICS.includes(distance)) {
+    throw new Error(
+      `Unknown distance metric "${distance}". Use one of: ${DISTANCE_METRICS.join(
+        ", "
+      )}`
+    );
+  }
+  return distance;
+}
+
+/**
+ * Converts a Chroma distance into a relevance score between 0 and 1.
+ * Chroma returns squared L2 (0..4 for unit vectors), 1 - cosine similarity
+ * (0..2) or 1 - dot product, so each metric is rescaled to (1 + cos) / 2:
+ * for normalised embeddings the same pair scores the same under every metric.
+ * @param {number} distance - Distance returned by collection.query
+ * @param {string} [metric] - Collection distance metric, defaults to l2
+ * @returns {number} - 1 for identical vectors, 0 for opposite ones
+ */
+export function distanceToScore(distance, metric = "l2") {
+  const score = metric === "l2" ? 1 - distance / 4 : 1 - distance / 2;
+  return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * Computes the distance Chroma would report between two embeddings, for
+ * scoring chunks that were found some other way than a vector query
+ * @param {Array<number>} a - Query embedding
+ * @param {Array<number>} b - Chunk embedding
+ * @param {string} [metric] - Collection distance metric, defaults to l2
+ * @returns {number}
+ */
+export function computeDistance(a, b, metric = "l2") {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  let squared = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+    squared += (a[i] - b[i]) ** 2;
+  }
+  if (metric === "ip") return 1 - dot;
+  if (metric === "cosine") return 1 - dot / (Math.sqrt(normA * normB) || 1);
+  return squared;
+}
@@ -0,0 +1,494 @@
+import http from "node:http";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { ingest, NOTHING_TO_INGEST } from "./ingest.js";
+import { getRelevantChunks, getContext, DEFAULT_N_RESULTS } from "./query.js";
+import { askQuestion, CHAT_PROVIDERS } from "./ask.js";
+import { listSources, deleteSource } from "./sources.js";
+import { resolveOptions, createClient } from "./chroma.js";
+import { buildWhere } from "./filters.js";
+import { resolveInputFiles } from "./files.js";
+import { RERANKERS } from "./rerank.js";
+import { EXPAND_MODES } from "./expand.js";
+import { CONTEXT_ORDERS } from "./context.js";
+
+export const DEFAULT_PORT = 3000;
+export const DEFAULT_HOST = "127.0.0.1";
+
+// Uploads are buffered in memory before being written to a temp directory
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Request fields passed through to retrieval. Connection settings (url,
+// collection, embedding model) are fixed when the server starts.
+const RETRIEVAL_FIELDS = [
+  "nResults",
+  "minScore",
+  "keywordWeight",
+  "rerank",
+  "fetchK",
+  "mmrLambda",
+  "rerankModel",
+  "rerankProvider",
+  "source",
+  "where",
+  "filters",
+  "expand",
+  "window",
+  "maxSources",
+  "tokenBudget",
+  "order",
+];
+
+const positiveInt = {
+  describe: "a positive integer",
+  check: (value) => Number.isInteger(value) && value > 0,
+};
+const nonNegativeInt = {
+  describe: "a non-negative integer",
+  check: (value) => Number.isInteger(value) && value >= 0,
+};
+const fraction = {
+  describe: "a number from 0 to 1",
+  check: (value) => typeof value === "number" && value >= 0 && value <= 1,
+};
+const oneOf = (values) => ({
+  describe: `one of ${values.join(", ")}`,
+  check: (value) => values.includes(value),
+});
+const string = {
+  describe: "a string",
+  check: (value) => typeof value === "string",
+};
+
+// What each request field must hold; the rag CLI checks the same flags
+const FIELD_TYPES = {
+  nResults: positiveInt,
+  minScore: fraction,
+  keywordWeight: fraction,
+  rerank: oneOf(RERANKERS),
+  fetchK: positiveInt,
+  mmrLambda: fraction,
+  rerankModel: string,
+  rerankProvider: oneOf(CHAT_PROVIDERS),
+  expand: oneOf(EXPAND_MODES),
+  window: nonNegativeInt,
+  maxSources: positiveInt,
+  tokenBudget: positiveInt,
+  order: oneOf(CONTEXT_ORDERS),
+  minRelevance: fraction,
+  provider: oneOf(CHAT_PROVIDERS),
+  model: string,
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+function sendError(response, error) {
+  const status =
+    error.status || (error.name === "ChromaConnectionError" ? 503 : 500);
+  if (status === 500) {
+    console.error("Request failed:", error);
+  }
+  sendJson(response, status, { error: { status, message: error.message } });
+}
+
+async function readBody(request) {
+  const parts = [];
+  let size = 0;
+  for await (const part of request) {
+    size += part.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    parts.push(part);
+  }
+  return Buffer.concat(parts);
+}
+
+async function readJson(request) {
+  const body = await readBody(request);
+  if (body.length === 0) return {};
+  try {
+    const parsed = JSON.parse(body.toString("utf8"));
+    if (parsed === null || typeof parsed !== "object") throw new Error();
+    return parsed;
+  } catch (e) {
+    throw new HttpError(400, "Request body must be a JSON object");
+  }
+}
+
+function requireText(body, field) {
+  if (typeof body[field] !== "string" || !body[field].trim()) {
+    throw new HttpError(400, `"${field}" must be a non-empty string`);
+  }
+  return body[field];
+}
+
+function checkFields(body, fields) {
+  fields.forEach((field) => {
+    const type = FIELD_TYPES[field];
+    if (body[field] !== undefined && !type.check(body[field])) {
+      throw new HttpError(
+        400,
+        `"${field}" must be ${type.describe}, got ${JSON.stringify(
+          body[field]
+        )}`
+      );
+    }
+  });
+}
+
+function retrievalOptions(body, defaults) {
+  const options = Object.fromEntries(
+    RETRIEVAL_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+  checkFields(
+    options,
+    RETRIEVAL_FIELDS.filter((field) => FIELD_TYPES[field])
+  );
+  if (
+    options.source !== undefined &&
+    ![options.source].flat().every((source) => typeof source === "string")
+  ) {
+    throw new HttpError(400, '"source" must be a string or array of strings');
+  }
+  if (
+    options.where !== undefined &&
+    (typeof options.where !== "object" || Array.isArray(options.where))
+  ) {
+    throw new HttpError(
+      400,
+      '"where" must be a Chroma where object; use "filters" for expressions'
+    );
+  }
+  if (options.filters !== undefined && !Array.isArray(options.filters)) {
+    throw new HttpError(400, '"filters" must be an array of expressions');
+  }
+  const nResults = options.nResults ?? defaults.nResults ?? DEFAULT_N_RESULTS;
+  if (options.fetchK !== undefined && options.fetchK < nResults) {
+    throw new HttpError(
+      400,
+      `"fetchK" must be at least nResults (${nResults}), got ${options.fetchK}`
+    );
+  }
+  try {
+    buildWhere(options);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+  return options;
+}
+
+function isJson(request) {
+  return (request.headers["content-type"] || "").includes("application/json");
+}
+
+/**
+ * Writes uploaded files to a temp directory so they go through the same
+ * loaders as files on disk; the file name becomes the source name
+ */
+async function saveUploads(uploads, directory) {
+  const filePaths = [];
+  for (const { name, content } of uploads) {
+    const fileName = path.basename(name || "");
+    if (!fileName || fileName === "." || fileName === "..") {
+      throw new HttpError(400, "Every uploaded file needs a file name");
+    }
+    const filePath = path.join(directory, fileName);
+    await fs.writeFile(filePath, content);
+    filePaths.push(filePath);
+  }
+  return filePaths;
+}
+
+/**
+ * Reads an ingest request: a JSON body with paths and/or files, or a raw file
+ * upload named by the ?filename= query parameter
+ */
+async function readIngestRequest(request, url) {
+  if (!isJson(request)) {
+    const name = url.searchParams.get("filename");
+    if (!name) {
+      throw new HttpError(
+        400,
+        'Raw uploads need a "filename" query parameter; send JSON to ingest paths'
+      );
+    }
+    const content = await readBody(request);
+    if (content.length === 0) {
+      throw new HttpError(400, `Uploaded file "${name}" is empty`);
+    }
+    return { body: {}, uploads: [{ name, content }] };
+  }
+
+  const body = await readJson(request);
+  const paths = body.paths ?? [];
+  const files = body.files ?? [];
+  if (!Array.isArray(paths) || !Array.isArray(files)) {
+    throw new HttpError(400, '"paths" and "files" must be arrays');
+  }
+  if (!paths.every((entry) => typeof entry === "string" && entry.trim())) {
+    throw new HttpError(
+      400,
+      '"paths" must hold non-empty file, directory or glob strings'
+    );
+  }
+  if (paths.length === 0 && files.length === 0) {
+    throw new HttpError(400, 'Provide "paths" to ingest or "files" to upload');
+  }
+
+  const uploads = files.map((file) => {
+    if (typeof file?.content !== "string") {
+      throw new HttpError(
+        400,
+        'Every file needs a "name" and a "content" string'
+      );
+    }
+    if (!file.content) {
+      throw new HttpError(400, `Uploaded file "${file.name}" is empty`);
+    }
+    return {
+      name: file.name,
+      content: Buffer.from(
+        file.content,
+        file.encoding === "base64" ? "base64" : "utf8"
+      ),
+    };
+  });
+  return { body, paths, uploads };
+}
+
+/**
+ * Creates the HTTP API server
+ * @param {Object} [options] - url, collectionName and embedding used for every request
+ * @returns {http.Server} - Not yet listening
+ */
+export function createServer(options = {}) {
+  options = resolveOptions(options);
+
+  // Ingestions run one at a time so they don't race on the same sources
+  let ingestQueue = Promise.resolve();
+
+  const routes = {
+    "GET /health": async (request, response) => {
+      try {
+        const client = createClient(options);
+        const heartbeat = await client.heartbeat();
+        const collection = await client
+          .getCollection({ name: options.collectionName })
+          .catch(() => null);
+        sendJson(response, 200, {
+          status: "ok",
+          chroma: { url: options.url, heartbeat },
+          collection: {
+            name: options.collectionName,
+            exists: Boolean(collection),
+            chunks: collection ? await collection.count() : 0,
+          },
+        });
+      } catch (error) {
+        sendJson(response, 503, {
+          status: "unavailable",
+          chroma: { url: options.url },
+          error: { status: 503, message: error.message },
+        });
+      }
+    },
+
+    "POST /ingest": async (request, response, url) => {
+      const {
+        body,
+        paths = [],
+        uploads,
+      } = await readIngestRequest(request, url);
+      // Paths that name nothing are the caller's mistake, not a server error
+      if (uploads.length === 0) {
+        const { files, skipped } = await resolveInputFiles(paths, {
+          include: body.include,
+          exclude: body.exclude,
+        });
+        if (files.length === 0) {
+          throw new HttpError(
+            400,
+            `No files found to ingest: ${skipped
+              .map(({ filePath, reason }) => `${filePath} (${reason})`)
+              .join(", ")}`
+          );
+        }
+      }
+      const run = async () => {
+        const directory = await fs.mkdtemp(
+          path.join(os.tmpdir(), "rag-upload-")
+        );
+        try {
+          const uploaded = await saveUploads(uploads, directory);
+          const result = await ingest([...paths, ...uploaded], {
+            ...options,
+            include: body.include,
+            exclude: body.exclude,
+            json: body.json,
+            parentScope: body.parentScope,
+          }).catch((error) => {
+            // Files that hold nothing to index are the caller's mistake too
+            throw error.code === NOTHING_TO_INGEST
+              ? new HttpError(400, error.message)
+              : error;
+          });
+          // Temp paths mean nothing to the caller; uploads are known by source
+          result.files.forEach((file) => {
+            if (file.filePath.startsWith(directory)) delete file.filePath;
+          });
+          return result;
+        } finally {
+          await fs.rm(directory, { recursive: true, force: true });
+        }
+      };
+
+      const result = ingestQueue.then(run, run);
+      ingestQueue = result.catch(() => {});
+      sendJson(response, 200, await result);
+    },
+
+    "POST /query": async (request, response) => {
+      const body = await readJson(request);
+      const results = await getRelevantChunks(requireText(body, "query"), {
+        ...options,
+        ...retrievalOptions(body, options),
+      });
+      sendJson(response, 200, { results });
+    },
+
+    "POST /context": async (request, response) => {
+      const body = await readJson(request);
+      const context = await getContext(requireText(body, "query"), {
+        ...options,
+        ...retrievalOptions(body, options),
+      });
+      sendJson(response, 200, context);
+    },
+
+    "POST /ask": async (request, response) => {
+      const body = await readJson(request);
+      const question = requireText(body, "question");
+      checkFields(body, ["provider", "model", "minRelevance"]);
+      const askOptions = {
+        ...options,
+        ...retrievalOptions(body, options),
+        // The configured chat model applies unless the request names another
+        ...(body.provider !== undefined && {
+          provider: body.provider,
+          model: body.model,
+        }),
+        ...(body.provider === undefined &&
+          body.model !== undefined && { model: body.model }),
+        ...(body.minRelevance !== undefined && {
+          minRelevance: body.minRelevance,
+        }),
+      };
+
+      const stream =
+        body.stream === true ||
+        (request.headers.accept || "").includes("text/event-stream");
+      if (!stream) {
+        sendJson(response, 200, await askQuestion(question, askOptions));
+        return;
+      }
+
+      // Server-sent events: "token" events while the model writes, then "done"
+      // with the full answer and citations, or "error"
+      response.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      const send = (event, data) =>
+        response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      try {
+        const result = await askQuestion(question, {
+          ...askOptions,
+          onToken: (text) => send("token", { text }),
+        });
+        send("done", result);
+      } catch (error) {
+        console.error("Streaming answer failed:", error);
+        send("error", { error: { status: 500, message: error.message } });
+      }
+      response.end();
+    },
+
+    "GET /sources": async (request, response) => {
+      sendJson(response, 200, { sources: await listSources(options) });
+    },
+  };
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    try {
+      const sourceMatch = url.pathname.match(/^\/sources\/(.+)$/);
+      if (sourceMatch && request.method === "DELETE") {
+        const source = decodeURIComponent(sourceMatch[1]);
+        const deleted = await deleteSource(source, options);
+        if (deleted === 0) {
+          throw new HttpError(404, `No chunks found for source: ${source}`);
+        }
+        sendJson(response, 200, { source, deleted });
+        return;
+      }
+
+      const route = routes[`${request.method} ${url.pathname}`];
+      if (!route) {
+        const known = Object.keys(routes).some((key) =>
+          key.endsWith(` ${url.pathname}`)
+        );
+        throw known || sourceMatch
+          ? new HttpError(
+              405,
+              `${request.method} is not allowed on ${url.pathname}`
+            )
+          : new HttpError(
+              404,
+              `No route for ${request.method} ${url.pathname}`
+            );
+      }
+      await route(request, response, url);
+    } catch (error) {
+      if (response.headersSent) {
+        response.end();
+        return;
+      }
+      sendError(response, error);
+    }
+  });
+}
+
+/**
+ * Starts the HTTP API server
+ * @param {Object} [options] - port, host, and url, collectionName and embedding for every request
+ * @returns {Promise<http.Server>} - The listening server
+ */
+export async function startServer(options = {}) {
+  const {
+    port = DEFAULT_PORT,
+    host = DEFAULT_HOST,
+    ...serverOptions
+  } = options;
+  const server = createServer(serverOptions);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(`RAG API listening on http://${host}:${server.address().port}`);
+  return server;
+}
@@ -0,0 +1,280 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import readline from "node:readline";
+import { resolveOptions, getCollection, openCollection } from "./chroma.js";
+import { buildWhere } from "./filters.js";
+import { rebuildKeywordIndex } from "./keywordIndex.js";
+import { readParents, replaceParents } from "./parents.js";
+import { listSources } from "./sources.js";
+
+const SNAPSHOT_VERSION = 1;
+const PAGE_SIZE = 500;
+const BATCH_SIZE = 100;
+
+// Collection metadata written by describeEmbeddings
+const EMBEDDING_KEYS = [
+  "embedding_provider",
+  "embedding_model",
+  "embedding_dimension",
+];
+
+/**
+ * Writes a collection, or some of its sources, to a JSONL snapshot: a header
+ * line with the collection metadata (distance metric and embedding model),
+ * then one line per chunk with its ID, text, metadata and embedding, then one
+ * per parent record. Nothing is re-embedded on import.
+ * @param {string} file - Snapshot path
+ * @param {Object} [options] - url and collectionName overrides, plus:
+ * @param {Array<string>} [options.sources] - Export only these sources
+ * @returns {Promise<Object>} - { collection, sources, chunks, parents }
+ */
+export async function exportSnapshot(file, options = {}) {
+  options = resolveOptions(options);
+  const collection = await getCollection(options);
+
+  const stored = new Map(
+    (await listSources(options)).map(({ source, chunks }) => [source, chunks])
+  );
+  const requested = [...new Set([options.sources ?? []].flat())];
+  const missing = requested.filter((source) => !stored.has(source));
+  if (missing.length > 0) {
+    throw new Error(`No chunks found for source: ${missing.join(", ")}`);
+  }
+  const sources = requested.length > 0 ? requested : [...stored.keys()];
+  const chunkCount = sources.reduce(
+    (sum, source) => sum + stored.get(source),
+    0
+  );
+  const parents = await readParents(sources, options);
+
+  console.log(
+    `Exporting ${chunkCount} chunks of ${sources.length} sources from ${options.collectionName}`
+  );
+  const handle = await fs.open(file, "w");
+  try {
+    await handle.write(
+      JSON.stringify({
+        snapshot: SNAPSHOT_VERSION,
+        collection: options.collectionName,
+        metadata: collection.metadata || {},
+        sources,
+        chunks: chunkCount,
+        parents: parents.length,
+        exportedAt: new Date().toISOString(),
+      }) + "\n"
+    );
+
+    // Without a filter every chunk is read, including any with no source
+    const where =
+      requested.length > 0 ? buildWhere({ source: sources }) : undefined;
+    let written = 0;
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await collection.get({
+        where,
+        include: ["documents", "metadatas", "embeddings"],
+        limit: PAGE_SIZE,
+        offset,
+      });
+      const lines = page.ids.map((id, idx) =>
+        JSON.stringify({
+          type: "chunk",
+          id,
+          document: page.documents[idx],
+          metadata: page.metadatas[idx],
+          embedding: Array.from(page.embeddings[idx]),
+        })
+      );
+      if (lines.length > 0) await handle.write(lines.join("\n") + "\n");
+      written += lines.length;
+      if (page.ids.length < PAGE_SIZE) break;
+    }
+    if (written !== chunkCount) {
+      throw new Error(
+        `Collection changed during export: expected ${chunkCount} chunks, read ${written}`
+      );
+    }
+
+    for (const parent of parents) {
+      await handle.write(
+        JSON.stringify({
+          type: "parent",
+          id: parent.id,
+          document: parent.content,
+          metadata: parent.metadata,
+        }) + "\n"
+      );
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return {
+    collection: options.collectionName,
+    sources,
+    chunks: chunkCount,
+    parents: parents.length,
+  };
+}
+
+/**
+ * Reads the header line of a snapshot
+ * @param {string} file - Snapshot path
+ * @returns {Promise<Object>} - Header written by exportSnapshot
+ */
+export async function readSnapshotHeader(file) {
+  const lines = readline.createInterface({
+    input: createReadStream(file, "utf8"),
+    crlfDelay: Infinity,
+  });
+  try {
+    for await (const line of lines) {
+      return parseHeader(line, file);
+    }
+  } finally {
+    lines.close();
+  }
+  throw new Error(`${file} is empty`);
+}
+
+async function countRecords(file) {
+  const lines = readline.createInterface({
+    input: createReadStream(file, "utf8"),
+    crlfDelay: Infinity,
+  });
+  let count = -1;
+  for await (const line of lines) {
+    if (line.trim()) count += 1;
+  }
+  return count;
+}
+
+function parseHeader(line, file) {
+  let header;
+  try {
+    header = JSON.parse(line);
+  } catch (e) {
+    throw new Error(`${file} is not a collection snapshot`);
+  }
+  if (header.snapshot !== SNAPSHOT_VERSION) {
+    throw new Error(
+      header.snapshot === undefined
+        ? `${file} is not a collection snapshot`
+        : `${file} is snapshot version ${header.snapshot}; this version reads ${SNAPSHOT_VERSION}`
+    );
+  }
+  return header;
+}
+
+/**
+ * Restores a snapshot written by exportSnapshot into a collection, on any
+ * server. The collection is created with the snapshot's metadata if needed;
+ * an existing one must have been built by the same embedding model. Chunks
+ * and parents of the snapshot's sources replace whatever the collection held
+ * for them; other sources are left alone.
+ * @param {string} file - Snapshot path
+ * @param {Object} [options] - url and collectionName overrides; the collection defaults to the one exported
+ * @returns {Promise<Object>} - { collection, sources, chunks, parents }
+ */
+export async function importSnapshot(file, options = {}) {
+  const header = await readSnapshotHeader(file);
+  // Catch a truncated copy before anything in the collection is replaced
+  const records = await countRecords(file);
+  if (records !== header.chunks + header.parents) {
+    throw new Error(
+      `${file} is incomplete: the header lists ${header.chunks} chunks and ${header.parents} parents, the file holds ${records} records`
+    );
+  }
+  options = resolveOptions({
+    ...options,
+    collectionName: options.collectionName || header.collection,
+  });
+
+  const metadata = header.metadata || {};
+  const embeddingMetadata = Object.fromEntries(
+    EMBEDDING_KEYS.filter((key) => metadata[key] != null).map((key) => [
+      key,
+      metadata[key],
+    ])
+  );
+  const collection = await openCollection(
+    {
+      ...options,
+      collectionMetadata: Object.fromEntries(
+        Object.entries(metadata).filter(
+          ([key]) => !EMBEDDING_KEYS.includes(key)
+        )
+      ),
+    },
+    embeddingMetadata
+  );
+
+  console.log(
+    `Importing ${header.chunks} chunks of ${header.sources.length} sources into ${options.collectionName}`
+  );
+  if (header.sources.length > 0) {
+    await collection.delete({ where: buildWhere({ source: header.sources }) });
+  }
+
+  let batch = [];
+  let chunks = 0;
+  const parents = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await collection.upsert({
+      ids: batch.map((record) => record.id),
+      embeddings: batch.map((record) => record.embedding),
+      metadatas: batch.map((record) => record.metadata),
+      documents: batch.map((record) => record.document),
+    });
+    chunks += batch.length;
+    batch = [];
+  };
+
+  const lines = readline.createInterface({
+    input: createReadStream(file, "utf8"),
+    crlfDelay: Infinity,
+  });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (lineNumber === 1 || !line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${file} line ${lineNumber}: invalid JSON`);
+    }
+    if (record.type === "chunk") {
+      batch.push(record);
+      if (batch.length >= BATCH_SIZE) await flush();
+    } else if (record.type === "parent") {
+      parents.push({
+        id: record.id,
+        content: record.document,
+        metadata: record.metadata,
+      });
+    } else {
+      throw new Error(
+        `${file} line ${lineNumber}: unknown record type "${record.type}"`
+      );
+    }
+  }
+  await flush();
+
+  if (chunks !== header.chunks || parents.length !== header.parents) {
+    throw new Error(
+      `${file} is incomplete: expected ${header.chunks} chunks and ${header.parents} parents, found ${chunks} and ${parents.length}`
+    );
+  }
+
+  await replaceParents(parents, options);
+  await rebuildKeywordIndex(collection, options);
+
+  return {
+    collection: options.collectionName,
+    sources: header.sources,
+    chunks,
+    parents: parents.length,
+  };
+}
@@ -0,0 +1,88 @@
+import { resolveOptions, getCollection } from "./chroma.js";
+import { getDistanceMetric } from "./scoring.js";
+import { removeFromKeywordIndex } from "./keywordIndex.js";
+import { deleteParents } from "./parents.js";
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Reads the metadata of every chunk in a collection, a page at a time
+ * @param {Object} collection - ChromaDB collection
+ * @returns {Promise<Array>} - Metadata objects
+ */
+async function getAllMetadatas(collection) {
+  const metadatas = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await collection.get({
+      include: ["metadatas"],
+      limit: PAGE_SIZE,
+      offset,
+    });
+    metadatas.push(...page.metadatas);
+    if (page.ids.length < PAGE_SIZE) break;
+  }
+  return metadatas;
+}
+
+/**
+ * Lists the sources stored in the collection with their chunk counts
+ * @param {Object} [options] - url and collectionName overrides
+ * @returns {Promise<Array>} - [{ source, chunks }] sorted by source name
+ */
+export async function listSources(options = {}) {
+  options = resolveOptions(options);
+  const collection = await getCollection(options);
+  const metadatas = await getAllMetadatas(collection);
+
+  const counts = new Map();
+  metadatas.forEach((metadata) => {
+    const source = metadata?.source || "unknown";
+    counts.set(source, (counts.get(source) || 0) + 1);
+  });
+
+  return Array.from(counts.entries())
+    .map(([source, chunks]) => ({ source, chunks }))
+    .sort((a, b) => a.source.localeCompare(b.source));
+}
+
+/**
+ * Removes every chunk of a source from the collection
+ * @param {string} source - Source name as stored in metadata (the file name)
+ * @param {Object} [options] - url and collectionName overrides
+ * @returns {Promise<number>} - Number of chunks deleted
+ */
+export async function deleteSource(source, options = {}) {
+  options = resolveOptions(options);
+  const collection = await getCollection(options);
+
+  const { ids } = await collection.get({ where: { source }, include: [] });
+  if (ids.length > 0) {
+    await collection.delete({ ids });
+    await removeFromKeywordIndex(ids, options);
+  }
+  await deleteParents(source, options);
+  return ids.length;
+}
+
+/**
+ * Summarises the collection: size, sources and the embedding model that built it
+ * @param {Object} [options] - url and collectionName overrides
+ * @returns {Promise<Object>} - Collection statistics
+ */
+export async function getStats(options = {}) {
+  options = resolveOptions(options);
+  const collection = await getCollection(options);
+  const sources = await listSources(options);
+  const metadata = collection.metadata || {};
+
+  return {
+    collection: options.collectionName,
+    url: options.url,
+    chunks: await collection.count(),
+    sources: sources.length,
+    distance: getDistanceMetric(collection),
+    embeddingProvider: metadata.embedding_provider || null,
+    embeddingModel: metadata.embedding_model || null,
+    embeddingDimension: metadata.embedding_dimension || null,
+  };
+}
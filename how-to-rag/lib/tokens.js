@@ -0,0 +1,86 @@
+import { getEncoding, getEncodingNameForModel } from "js-tiktoken";
+
+// Tokenizer of the OpenAI chat models (gpt-4o family). Counts are exact for
+// those and a close estimate for other providers' models.
+const DEFAULT_ENCODING = "o200k_base";
+
+const encoders = new Map();
+
+function getEncoder(encoding = DEFAULT_ENCODING) {
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, getEncoding(encoding));
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * Counts the tokens a text uses
+ * @param {string} text
+ * @param {string} [encoding] - tiktoken encoding name, defaults to o200k_base
+ * @returns {number}
+ */
+export function countTokens(text, encoding) {
+  return getEncoder(encoding).encode(text).length;
+}
+
+/**
+ * Cuts a text down to at most maxTokens, ending on a word boundary
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {string} [encoding] - tiktoken encoding name, defaults to o200k_base
+ * @returns {string} - The text itself when it already fits
+ */
+export function truncateToTokens(text, maxTokens, encoding) {
+  const encoder = getEncoder(encoding);
+  const tokens = encoder.encode(text);
+  if (tokens.length <= maxTokens) return text;
+  // Leave room for the ellipsis
+  const cut = encoder.decode(tokens.slice(0, Math.max(0, maxTokens - 1)));
+  return `${cut.replace(/\s+\S*$/, "")}…`;
+}
+
+// Input limits of the OpenAI embedding models, which all use cl100k_base
+const OPENAI_EMBEDDING_MAX_TOKENS = 8191;
+
+/**
+ * Loads the tokenizer of an embedding model, so chunks can be sized in the
+ * tokens the model actually reads: tiktoken for OpenAI models, the model's
+ * own tokenizer (downloaded by transformers.js) for local ones, and
+ * DEFAULT_ENCODING as an estimate for anything else
+ * @param {Object} embedding - { provider, model } from resolveEmbeddingConfig
+ * @returns {Promise<Object>} - { name, maxTokens, count(text) }; maxTokens is null when the model sets no limit
+ */
+export async function loadTokenizer({ provider, model }) {
+  if (provider === "openai") {
+    let encoding;
+    try {
+      encoding = getEncodingNameForModel(model);
+    } catch (e) {
+      encoding = "cl100k_base";
+    }
+    return {
+      name: encoding,
+      maxTokens: OPENAI_EMBEDDING_MAX_TOKENS,
+      count: (text) => countTokens(text, encoding),
+    };
+  }
+
+  if (provider === "local") {
+    const { AutoTokenizer } = await import("@huggingface/transformers");
+    const tokenizer = await AutoTokenizer.from_pretrained(model);
+    // Tokenizers without a limit report a huge placeholder instead
+    const maxLength = tokenizer.model_max_length;
+    return {
+      name: model,
+      maxTokens: maxLength > 0 && maxLength < 1e6 ? maxLength : null,
+      count: (text) =>
+        tokenizer.encode(text, { add_special_tokens: false }).length,
+    };
+  }
+
+  return {
+    name: DEFAULT_ENCODING,
+    maxTokens: null,
+    count: (text) => countTokens(text),
+  };
+}
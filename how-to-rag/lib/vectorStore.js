@@ -0,0 +1,31 @@
+import { ChromaClient } from "chromadb";
+import { createMemoryVectorStore } from "./memoryVectorStore.js";
+
+// Store URLs that don't point at a Chroma server
+const MEMORY_SCHEME = "memory:";
+const FILE_SCHEME = "file:";
+
+/**
+ * Opens the vector store the options point at. Every backend exposes the
+ * ChromaDB client API this package relies on:
+ *   client: heartbeat, listCollections, countCollections, getCollection,
+ *     createCollection, getOrCreateCollection, deleteCollection
+ *   collection: name, metadata, add, upsert, update, get, query, delete,
+ *     count, modify
+ * The URL picks the backend:
+ *   http(s)://host:port  ChromaDB server
+ *   memory:              in-process store, gone when the process exits
+ *   file:path/to.json    in-process store saved to a JSON file
+ * @param {Object} options - Resolved options (url)
+ * @returns {Object} - Store client
+ */
+export function createVectorStore(options) {
+  const { url } = options;
+  if (url.startsWith(MEMORY_SCHEME)) return createMemoryVectorStore();
+  if (url.startsWith(FILE_SCHEME)) {
+    const file = url.slice(FILE_SCHEME.length).replace(/^\/\/(?=\/)/, "");
+    if (!file) throw new Error(`"${url}" names no file; use file:<path>`);
+    return createMemoryVectorStore({ path: file });
+  }
+  return new ChromaClient({ path: url });
+}
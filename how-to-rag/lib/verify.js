@@ -0,0 +1,215 @@
+import { createHash } from "crypto";
+import { buildWhere } from "./filters.js";
+
+const PAGE_SIZE = 500;
+const BATCH_SIZE = 100;
+
+// Problem IDs listed per check before the rest is summarised as a count
+const MAX_LISTED = 5;
+
+/**
+ * Hash stored as content_hash with every chunk
+ * @param {string} content - Chunk text
+ * @returns {string} - Hex SHA-256
+ */
+export function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Reads every stored record of the given sources, a page at a time
+ * @param {Object} collection - ChromaDB collection
+ * @param {Array<string>} sources - Source names
+ * @param {Array<string>} include - Fields to read, e.g. ["metadatas", "embeddings"]
+ * @returns {Promise<Object>} - { ids, metadatas, documents, embeddings } with the included fields
+ */
+export async function readSourceRecords(collection, sources, include) {
+  const records = { ids: [], metadatas: [], documents: [], embeddings: [] };
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await collection.get({
+      where: buildWhere({ source: sources }),
+      include,
+      limit: PAGE_SIZE,
+      offset,
+    });
+    records.ids.push(...page.ids);
+    ["metadatas", "documents", "embeddings"].forEach((field) => {
+      if (page[field]) records[field].push(...page[field]);
+    });
+    if (page.ids.length < PAGE_SIZE) break;
+  }
+  return records;
+}
+
+/**
+ * Restores the records of the given sources to a snapshot taken with
+ * readSourceRecords before the ingestion wrote anything
+ * @param {Object} collection - ChromaDB collection
+ * @param {Array<string>} sources - Source names
+ * @param {Object} snapshot - Records including metadatas, documents and embeddings
+ */
+export async function restoreSourceRecords(collection, sources, snapshot) {
+  await collection.delete({ where: buildWhere({ source: sources }) });
+  for (let i = 0; i < snapshot.ids.length; i += BATCH_SIZE) {
+    const end = i + BATCH_SIZE;
+    await collection.add({
+      ids: snapshot.ids.slice(i, end),
+      embeddings: snapshot.embeddings.slice(i, end),
+      metadatas: snapshot.metadatas.slice(i, end),
+      documents: snapshot.documents.slice(i, end),
+    });
+  }
+}
+
+/**
+ * Checks that the collection holds exactly the chunks an ingestion produced
+ * from the loaded documents: every chunk ID present once, with the right
+ * content hash, the right text and an embedding of the collection's dimension,
+ * and nothing else stored for the ingested sources.
+ * @param {Object} collection - ChromaDB collection, already written to
+ * @param {Array} chunks - Chunks the ingestion split from the loaded documents
+ * @param {Array<string>} chunkIds - IDs from buildChunkIds, same order as chunks
+ * @param {number} dimension - Embedding dimension of the collection
+ * @returns {Promise<Object>} - { ok, expected, stored, missing, hashMismatches, badEmbeddings, unexpected, duplicates }
+ */
+export async function verifyIngestion(collection, chunks, chunkIds, dimension) {
+  const sources = [
+    ...new Set(chunks.map((chunk) => chunk.metadata.source || "unknown")),
+  ];
+  const stored = await readSourceRecords(collection, sources, [
+    "metadatas",
+    "documents",
+    "embeddings",
+  ]);
+
+  const storedById = new Map();
+  stored.ids.forEach((id, idx) => {
+    storedById.set(id, {
+      metadata: stored.metadatas[idx] || {},
+      document: stored.documents[idx],
+      embedding: stored.embeddings[idx],
+    });
+  });
+
+  const missing = [];
+  const hashMismatches = [];
+  const badEmbeddings = [];
+  // source + content hash -> how many chunks should carry that content
+  const expectedCopies = new Map();
+
+  chunks.forEach((chunk, idx) => {
+    const id = chunkIds[idx];
+    const hash = hashContent(chunk.pageContent);
+    const copyKey = `${chunk.metadata.source || "unknown"}\n${hash}`;
+    expectedCopies.set(copyKey, (expectedCopies.get(copyKey) || 0) + 1);
+
+    const record = storedById.get(id);
+    if (!record) {
+      missing.push(id);
+      return;
+    }
+    if (
+      record.metadata.content_hash !== hash ||
+      record.document == null ||
+      hashContent(record.document) !== hash
+    ) {
+      hashMismatches.push(id);
+    }
+    const embedding = record.embedding;
+    if (
+      !embedding ||
+      embedding.length !== dimension ||
+      !Array.from(embedding).every(Number.isFinite)
+    ) {
+      badEmbeddings.push(id);
+    }
+  });
+
+  const expectedIds = new Set(chunkIds);
+  const unexpected = stored.ids.filter((id) => !expectedIds.has(id));
+
+  const storedCopies = new Map();
+  stored.ids.forEach((id) => {
+    const { metadata, document } = storedById.get(id);
+    const hash =
+      metadata.content_hash || (document != null ? hashContent(document) : id);
+    const copyKey = `${metadata.source || "unknown"}\n${hash}`;
+    storedCopies.set(copyKey, (storedCopies.get(copyKey) || 0) + 1);
+  });
+  const duplicates = [...storedCopies.entries()]
+    .filter(([copyKey, count]) => count > (expectedCopies.get(copyKey) || 1))
+    .map(([copyKey, count]) => {
+      const [source, contentHash] = copyKey.split("\n");
+      return {
+        source,
+        contentHash,
+        expected: expectedCopies.get(copyKey) || 0,
+        stored: count,
+      };
+    });
+
+  return {
+    ok:
+      missing.length === 0 &&
+      hashMismatches.length === 0 &&
+      badEmbeddings.length === 0 &&
+      unexpected.length === 0 &&
+      duplicates.length === 0,
+    sources,
+    expected: chunks.length,
+    stored: stored.ids.length,
+    missing,
+    hashMismatches,
+    badEmbeddings,
+    unexpected,
+    duplicates,
+  };
+}
+
+function listIds(ids) {
+  const listed = ids.slice(0, MAX_LISTED).join(", ");
+  return ids.length > MAX_LISTED
+    ? `${listed} and ${ids.length - MAX_LISTED} more`
+    : listed;
+}
+
+/**
+ * Describes the failed checks of a verification report, one line each
+ * @param {Object} report - Output of verifyIngestion
+ * @returns {Array<string>} - Empty when verification passed
+ */
+export function describeVerificationFailures(report) {
+  const failures = [];
+  if (report.missing.length > 0) {
+    failures.push(
+      `${report.missing.length} chunks missing: ${listIds(report.missing)}`
+    );
+  }
+  if (report.hashMismatches.length > 0) {
+    failures.push(
+      `${report.hashMismatches.length} chunks with content differing from their hash: ${listIds(
+        report.hashMismatches
+      )}`
+    );
+  }
+  if (report.badEmbeddings.length > 0) {
+    failures.push(
+      `${report.badEmbeddings.length} chunks without a valid embedding: ${listIds(
+        report.badEmbeddings
+      )}`
+    );
+  }
+  if (report.unexpected.length > 0) {
+    failures.push(
+      `${report.unexpected.length} chunks stored that the documents did not produce: ${listIds(
+        report.unexpected
+      )}`
+    );
+  }
+  report.duplicates.forEach(({ source, contentHash, expected, stored }) => {
+    failures.push(
+      `${source}: chunk ${contentHash.slice(0, 12)} stored ${stored} times, expected ${expected}`
+    );
+  });
+  return failures;
+}
@@ -0,0 +1,1088 @@
+#!/usr/bin/env node
+import fs from "fs/promises";
+import { parseArgs } from "node:util";
+import {
+  CHROMA_CONFIG,
+  ingest,
+  query,
+  askQuestion,
+  DEFAULT_MIN_RELEVANCE,
+  formatCitation,
+  runChat,
+  listSources,
+  deleteSource,
+  getStats,
+  exportSnapshot,
+  importSnapshot,
+  listCollections,
+  createCollection,
+  renameCollection,
+  dropCollection,
+  buildWhere,
+  DISTANCE_METRICS,
+  RERANKERS,
+  getContext,
+  EXPAND_MODES,
+  CONTEXT_ORDERS,
+  PARENT_SCOPES,
+  CHUNKING_STRATEGIES,
+  LOADER_NAMES,
+  loadGoldenSet,
+  evaluateRetrieval,
+  DEFAULT_KS,
+  startServer,
+  startMcpServer,
+  loadMemoryStore,
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  loadConfig,
+  configToOptions,
+  describeConfig,
+} from "./index.js";
+import { isMainModule, loadEnv } from "./lib/cli.js";
+
+class UsageError extends Error {}
+
+const GLOBAL_OPTIONS = {
+  collection: {
+    type: "string",
+    description: `Collection name (default: ${CHROMA_CONFIG.collectionName})`,
+  },
+  config: {
+    type: "string",
+    description:
+      "Config file (default: RAG_CONFIG, then rag.config.json, .yaml or .yml)",
+  },
+  url: {
+    type: "string",
+    description: `ChromaDB URL, memory: or file:<path> (default: ${CHROMA_CONFIG.url})`,
+  },
+  "embedding-provider": {
+    type: "string",
+    description: "Embedding provider: openai, local or fake",
+  },
+  "embedding-model": {
+    type: "string",
+    description: "Embedding model name",
+  },
+  help: { type: "boolean", short: "h", description: "Show help" },
+};
+
+const RETRIEVAL_OPTIONS = {
+  keywordWeight: {
+    type: "string",
+    description:
+      "Weight of BM25 keyword matches, 0 (vector only) to 1 (default: 0.5)",
+  },
+  minScore: {
+    type: "string",
+    description:
+      "Drop matches scoring below this relevance, 0 to 1 (default: 0)",
+  },
+  rerank: {
+    type: "string",
+    description: `Rerank an over-fetched pool: ${RERANKERS.join(", ")}`,
+  },
+  fetchK: {
+    type: "string",
+    description:
+      "Candidates to fetch for reranking, at least nResults (default: 4 x nResults)",
+  },
+  mmrLambda: {
+    type: "string",
+    description: "MMR relevance/diversity trade-off, 0 to 1 (default: 0.5)",
+  },
+  rerankModel: {
+    type: "string",
+    description: "Cross-encoder or chat model used by --rerank",
+  },
+  rerankProvider: {
+    type: "string",
+    description: "Chat model provider for --rerank llm (default: openai)",
+  },
+  source: {
+    type: "string",
+    multiple: true,
+    description: "Only search this source (repeatable)",
+  },
+  where: {
+    type: "string",
+    multiple: true,
+    description: "Metadata filter: key=value, key>=n, key=a..b, key=[a,b]",
+  },
+};
+
+// Cross-collection search, for the commands that rank chunks without expanding them
+const COLLECTIONS_OPTION = {
+  collections: {
+    type: "string",
+    description:
+      "Search these comma-separated collections and merge their results",
+  },
+};
+
+const COMMANDS = {
+  ingest: {
+    usage: "ingest <paths...>",
+    summary: "Load, chunk and upsert files, directories or globs",
+    minPositionals: 1,
+    options: {
+      include: {
+        type: "string",
+        multiple: true,
+        description:
+          "Only ingest files in directories matching this glob (repeatable)",
+      },
+      exclude: {
+        type: "string",
+        multiple: true,
+        description:
+          "Skip files in directories matching this glob (repeatable)",
+      },
+      "json-fields": {
+        type: "string",
+        description:
+          "Comma-separated JSON fields to embed (default: whole record)",
+      },
+      "json-metadata": {
+        type: "string",
+        description:
+          "Comma-separated JSON fields to store as filterable metadata",
+      },
+      "json-id": {
+        type: "string",
+        description: "JSON field holding a stable record ID",
+      },
+      "json-path": {
+        type: "string",
+        description: "JSONPath to the record array, e.g. $.data.items",
+      },
+      distance: {
+        type: "string",
+        description:
+          "Distance metric for a new collection: l2 (default), cosine or ip",
+      },
+      "chunk-strategy": {
+        type: "string",
+        multiple: true,
+        description: `Chunking strategy for every file, or for one file type as type=strategy (repeatable): ${CHUNKING_STRATEGIES.join(
+          ", "
+        )}`,
+      },
+      "parent-scope": {
+        type: "string",
+        description:
+          "Parent records for context expansion: section (page/heading, default) or source",
+      },
+      rollback: {
+        type: "boolean",
+        description:
+          "Restore the ingested sources to their previous state if verification fails",
+      },
+      "batch-size": {
+        type: "string",
+        description: "Chunks per embedding request (default: 50)",
+      },
+      concurrency: {
+        type: "string",
+        description: "Batches embedded and stored in parallel (default: 2)",
+      },
+      retries: {
+        type: "string",
+        description:
+          "Retries of a failed embedding or storage request (default: 5)",
+      },
+      "requests-per-minute": {
+        type: "string",
+        description: "Cap on embedding requests per minute (default: none)",
+      },
+    },
+    run: async ({ positionals, values, options }) => {
+      if (values.distance && !DISTANCE_METRICS.includes(values.distance)) {
+        throw new UsageError(
+          `--distance must be one of ${DISTANCE_METRICS.join(", ")}, got "${
+            values.distance
+          }"`
+        );
+      }
+
+      const parentScope = values["parent-scope"];
+      if (parentScope && !PARENT_SCOPES.includes(parentScope)) {
+        throw new UsageError(
+          `--parent-scope must be one of ${PARENT_SCOPES.join(
+            ", "
+          )}, got "${parentScope}"`
+        );
+      }
+
+      const { files } = await ingest(positionals, {
+        ...options,
+        ...parseChunkStrategies(values["chunk-strategy"], options),
+        distance: values.distance,
+        parentScope,
+        rollback: values.rollback,
+        batchSize:
+          parsePositiveInt(values["batch-size"], "--batch-size") ??
+          options.batchSize,
+        concurrency:
+          parsePositiveInt(values.concurrency, "--concurrency") ??
+          options.concurrency,
+        retries:
+          parseNonNegativeInt(values.retries, "--retries") ?? options.retries,
+        requestsPerMinute:
+          parsePositiveInt(
+            values["requests-per-minute"],
+            "--requests-per-minute"
+          ) ?? options.requestsPerMinute,
+        include: values.include,
+        exclude: values.exclude,
+        json: {
+          fields: parseList(values["json-fields"]),
+          metadataFields: parseList(values["json-metadata"]),
+          idField: values["json-id"],
+          recordPath: values["json-path"],
+        },
+      });
+
+      const failed = files.filter((file) => file.status === "failed");
+      if (failed.length > 0) {
+        throw new Error(
+          `${failed.length} of ${files.length} files failed to ingest`
+        );
+      }
+      console.log("✅ Successfully added all content to ChromaDB");
+    },
+  },
+  query: {
+    usage: "query <text>",
+    summary: "Show the chunks most similar to a query",
+    minPositionals: 1,
+    options: {
+      nResults: {
+        type: "string",
+        description: "Number of results (default: 5)",
+      },
+      ...RETRIEVAL_OPTIONS,
+      ...COLLECTIONS_OPTION,
+    },
+    run: async ({ positionals, values, options }) => {
+      const nResults = parsePositiveInt(
+        values.nResults,
+        "--nResults",
+        options.nResults
+      );
+      const results = await query(positionals.join(" "), {
+        ...options,
+        ...parseRetrievalOptions(values, nResults),
+        nResults,
+      });
+
+      console.log("\n=== SEARCH RESULTS ===\n");
+      results.forEach((result, index) => {
+        console.log(
+          `\n[${index + 1}] Source: ${
+            result.collection ? `${result.collection}: ` : ""
+          }${result.source} (Relevance: ${
+            result.relevanceScore
+          }, Keyword: ${result.keywordScore})`
+        );
+        console.log(JSON.stringify(result.content, null, 2));
+        console.log("\n---");
+      });
+    },
+  },
+  context: {
+    usage: "context <text>",
+    summary: "Show the expanded passages a query retrieves as LLM context",
+    minPositionals: 1,
+    options: {
+      nResults: {
+        type: "string",
+        description: "Number of matched chunks to expand (default: 5)",
+      },
+      expand: {
+        type: "string",
+        description: `Expand matches to: ${EXPAND_MODES.join(
+          ", "
+        )} (default: source)`,
+      },
+      window: {
+        type: "string",
+        description: "Chunks either side of a match for --expand neighbors",
+      },
+      maxSources: {
+        type: "string",
+        description:
+          "Distinct sources to include (default: 2 for source, else all)",
+      },
+      tokenBudget: {
+        type: "string",
+        description: "Maximum tokens of context (default: unlimited)",
+      },
+      order: {
+        type: "string",
+        description:
+          "Order passages by relevance (default) or position in the document",
+      },
+      ...RETRIEVAL_OPTIONS,
+    },
+    run: async ({ positionals, values, options }) => {
+      if (values.expand && !EXPAND_MODES.includes(values.expand)) {
+        throw new UsageError(
+          `--expand must be one of ${EXPAND_MODES.join(", ")}, got "${
+            values.expand
+          }"`
+        );
+      }
+
+      if (values.order && !CONTEXT_ORDERS.includes(values.order)) {
+        throw new UsageError(
+          `--order must be one of ${CONTEXT_ORDERS.join(", ")}, got "${
+            values.order
+          }"`
+        );
+      }
+
+      const nResults = parsePositiveInt(
+        values.nResults,
+        "--nResults",
+        options.nResults
+      );
+      const context = await getContext(positionals.join(" "), {
+        ...options,
+        ...parseRetrievalOptions(values, nResults),
+        nResults,
+        expand: values.expand,
+        window: parseNonNegativeInt(values.window, "--window"),
+        maxSources: parsePositiveInt(values.maxSources, "--maxSources"),
+        tokenBudget: parsePositiveInt(values.tokenBudget, "--tokenBudget"),
+        order: values.order,
+      });
+      if (!context.text) {
+        throw new Error("No context retrieved");
+      }
+
+      console.log("\n=== CONTEXT ===\n");
+      console.log(context.text);
+
+      console.log(`\n=== INCLUDED (${context.tokens} tokens) ===\n`);
+      context.included.forEach((passage) => {
+        const details = [
+          passage.label,
+          passage.pages.length > 0 ? `pages ${passage.pages.join(", ")}` : null,
+          `${passage.tokens} tokens`,
+          passage.truncated ? "truncated" : null,
+        ]
+          .filter(Boolean)
+          .join(", ");
+        console.log(`✓ ${passage.source} (${details})`);
+      });
+      context.omitted.forEach((passage) => {
+        console.log(
+          `✗ ${passage.source}${
+            passage.label ? ` (${passage.label})` : ""
+          }: over token budget`
+        );
+      });
+    },
+  },
+  ask: {
+    usage: "ask <question>",
+    summary: "Answer a question from the indexed documents with citations",
+    minPositionals: 1,
+    options: {
+      provider: {
+        type: "string",
+        description: "Chat model provider: openai (default), anthropic or stub",
+      },
+      model: { type: "string", description: "Chat model name" },
+      nResults: {
+        type: "string",
+        description: "Number of chunks to use as context (default: 5)",
+      },
+      minRelevance: {
+        type: "string",
+        description: `Refuse to answer below this relevance score (default: ${DEFAULT_MIN_RELEVANCE})`,
+      },
+      ...RETRIEVAL_OPTIONS,
+      ...COLLECTIONS_OPTION,
+    },
+    run: async ({ positionals, values, options }) => {
+      const nResults = parsePositiveInt(
+        values.nResults,
+        "--nResults",
+        options.nResults
+      );
+      const { answer, citations } = await askQuestion(positionals.join(" "), {
+        ...options,
+        ...parseRetrievalOptions(values, nResults),
+        ...chatModelOptions(values, options),
+        nResults,
+        minRelevance: parseNumber(
+          values.minRelevance,
+          "--minRelevance",
+          DEFAULT_MIN_RELEVANCE
+        ),
+      });
+
+      console.log("\n=== ANSWER ===\n");
+      console.log(answer);
+
+      if (citations.length > 0) {
+        console.log("\n=== CITATIONS ===\n");
+        citations.forEach((citation) => {
+          console.log(formatCitation(citation));
+        });
+      }
+    },
+  },
+  chat: {
+    usage: "chat",
+    summary: "Ask questions and follow-ups in an interactive session",
+    options: {
+      provider: {
+        type: "string",
+        description: "Chat model provider: openai (default), anthropic or stub",
+      },
+      model: { type: "string", description: "Chat model name" },
+      nResults: {
+        type: "string",
+        description: "Number of chunks to use as context (default: 5)",
+      },
+      minRelevance: {
+        type: "string",
+        description: `Refuse to answer below this relevance score (default: ${DEFAULT_MIN_RELEVANCE})`,
+      },
+      resume: {
+        type: "string",
+        description: "Continue the session saved in this transcript file",
+      },
+      ...RETRIEVAL_OPTIONS,
+      ...COLLECTIONS_OPTION,
+    },
+    run: async ({ values, options }) => {
+      const nResults = parsePositiveInt(
+        values.nResults,
+        "--nResults",
+        options.nResults
+      );
+      await runChat({
+        ...options,
+        ...parseRetrievalOptions(values, nResults),
+        ...chatModelOptions(values, options),
+        nResults,
+        minRelevance: parseNumber(
+          values.minRelevance,
+          "--minRelevance",
+          DEFAULT_MIN_RELEVANCE
+        ),
+        resume: values.resume,
+      });
+    },
+  },
+  eval: {
+    usage: "eval <golden-set>",
+    summary: "Score retrieval against a YAML or JSON set of golden questions",
+    minPositionals: 1,
+    options: {
+      k: {
+        type: "string",
+        description: `Comma-separated cut-offs for recall@k and nDCG@k (default: ${DEFAULT_KS.join(
+          ","
+        )})`,
+      },
+      output: {
+        type: "string",
+        description: "Write the full report as JSON to this file",
+      },
+      ...RETRIEVAL_OPTIONS,
+      ...COLLECTIONS_OPTION,
+    },
+    run: async ({ positionals, values, options }) => {
+      const goldenSet = await loadGoldenSet(positionals[0]);
+      const ks = parseCutoffs(values.k ?? goldenSet.k);
+      const retrieval = parseRetrievalOptions(values, Math.max(...ks));
+      const report = await evaluateRetrieval(goldenSet.cases, {
+        ...options,
+        ...retrieval,
+        ks,
+      });
+
+      console.log("\n=== CASES ===\n");
+      report.cases.forEach((entry) => {
+        const found = entry.ranks.filter((rank) => rank !== null).length;
+        console.log(
+          `${found === entry.expected.length ? "✓" : found > 0 ? "~" : "✗"} ${
+            entry.question
+          } (found ${found}/${entry.expected.length}, first hit ${
+            entry.reciprocalRank
+              ? `rank ${Math.round(1 / entry.reciprocalRank)}`
+              : "none"
+          })`
+        );
+        entry.expected.forEach((expected, idx) => {
+          if (entry.ranks[idx] === null) {
+            console.log(`    missed ${JSON.stringify(expected)}`);
+          }
+        });
+      });
+
+      const { metrics } = report;
+      console.log(`\n=== METRICS (${report.cases.length} questions) ===\n`);
+      console.log(`MRR         ${metrics.mrr.toFixed(3)}`);
+      ks.forEach((k) => {
+        console.log(
+          `Recall@${String(k).padEnd(4)} ${metrics.recall[k].toFixed(3)}`
+        );
+      });
+      ks.forEach((k) => {
+        console.log(
+          `nDCG@${String(k).padEnd(6)} ${metrics.ndcg[k].toFixed(3)}`
+        );
+      });
+
+      if (values.output) {
+        await fs.writeFile(
+          values.output,
+          JSON.stringify(
+            {
+              goldenSet: positionals[0],
+              collection:
+                options.collectionName ?? CHROMA_CONFIG.collectionName,
+              embedding: options.embedding,
+              retrieval,
+              ...report,
+            },
+            null,
+            2
+          )
+        );
+        console.log(`\nReport written to ${values.output}`);
+      }
+    },
+  },
+  stats: {
+    usage: "stats",
+    summary: "Show collection size, sources and embedding model",
+    run: async ({ options }) => {
+      const stats = await getStats(options);
+      console.log(`Collection:  ${stats.collection} (${stats.url})`);
+      console.log(`Chunks:      ${stats.chunks}`);
+      console.log(`Sources:     ${stats.sources}`);
+      console.log(`Distance:    ${stats.distance}`);
+      console.log(
+        `Embeddings:  ${
+          stats.embeddingModel
+            ? `${stats.embeddingProvider}/${stats.embeddingModel} (${stats.embeddingDimension} dimensions)`
+            : "not recorded"
+        }`
+      );
+    },
+  },
+  collections: {
+    usage:
+      "collections [list | create <name> | rename <from> <to> | drop <name>]",
+    summary: "List, create, rename or drop collections",
+    options: {
+      distance: {
+        type: "string",
+        description: "Distance metric for create: l2 (default), cosine or ip",
+      },
+    },
+    run: async ({ positionals, values, options }) => {
+      const [action = "list", ...names] = positionals;
+      const expected = { list: 0, create: 1, rename: 2, drop: 1 }[action];
+      if (expected === undefined) {
+        throw new UsageError(
+          `Unknown collections action "${action}"; use list, create, rename or drop`
+        );
+      }
+      if (names.length !== expected) {
+        throw new UsageError(
+          `collections ${action} takes ${expected} name${
+            expected === 1 ? "" : "s"
+          }, got ${names.length}`
+        );
+      }
+      if (values.distance && !DISTANCE_METRICS.includes(values.distance)) {
+        throw new UsageError(
+          `--distance must be one of ${DISTANCE_METRICS.join(", ")}, got "${
+            values.distance
+          }"`
+        );
+      }
+
+      if (action === "create") {
+        const created = await createCollection(names[0], {
+          ...options,
+          distance: values.distance,
+        });
+        console.log(
+          `✓ Created collection ${created.name} (${created.distance}, ${created.embeddingModel}, ${created.embeddingDimension} dimensions)`
+        );
+      } else if (action === "rename") {
+        await renameCollection(names[0], names[1], options);
+        console.log(`✓ Renamed collection ${names[0]} to ${names[1]}`);
+      } else if (action === "drop") {
+        const chunks = await dropCollection(names[0], options);
+        console.log(`✓ Dropped collection ${names[0]} (${chunks} chunks)`);
+      } else {
+        const collections = await listCollections(options);
+        if (collections.length === 0) {
+          console.log("No collections");
+          return;
+        }
+        collections.forEach((collection) => {
+          console.log(
+            [
+              collection.name,
+              `${collection.chunks} chunks`,
+              collection.distance,
+              collection.embeddingModel
+                ? `${collection.embeddingProvider}/${collection.embeddingModel} (${collection.embeddingDimension} dimensions)`
+                : "embeddings not recorded",
+            ].join("\t")
+          );
+        });
+      }
+    },
+  },
+  config: {
+    usage: "config print",
+    summary: "Show the effective settings and where each one comes from",
+    minPositionals: 1,
+    options: {
+      json: { type: "boolean", description: "Print the settings as JSON" },
+    },
+    run: async ({ positionals, values, config }) => {
+      if (positionals.length !== 1 || positionals[0] !== "print") {
+        throw new UsageError(
+          `Unknown config action "${positionals.join(" ")}"; use "config print"`
+        );
+      }
+      if (values.json) {
+        console.log(JSON.stringify(config.config, null, 2));
+        return;
+      }
+
+      console.log(`Config file: ${config.file ?? "none"}`);
+      if (config.profile) {
+        console.log(`Collection profile: ${config.profile}`);
+      }
+      console.log();
+      const rows = describeConfig(config).map(({ setting, value, origin }) => [
+        setting,
+        JSON.stringify(value),
+        origin,
+      ]);
+      const widths = [0, 1].map((column) =>
+        Math.max(...rows.map((row) => row[column].length))
+      );
+      rows.forEach(([setting, value, origin]) => {
+        console.log(
+          `${setting.padEnd(widths[0])}  ${value.padEnd(widths[1])}  ${origin}`
+        );
+      });
+    },
+  },
+  "list-sources": {
+    usage: "list-sources",
+    summary: "List the sources in the collection with their chunk counts",
+    run: async ({ options }) => {
+      const sources = await listSources(options);
+      if (sources.length === 0) {
+        console.log("No sources in collection");
+        return;
+      }
+      sources.forEach(({ source, chunks }) => {
+        console.log(`${source}\t${chunks} chunks`);
+      });
+    },
+  },
+  delete: {
+    usage: "delete --source <name>",
+    summary: "Remove every chunk of a source from the collection",
+    options: {
+      source: { type: "string", description: "Source name to delete" },
+    },
+    run: async ({ values, options }) => {
+      if (!values.source) {
+        throw new UsageError("delete requires --source <name>");
+      }
+      const deleted = await deleteSource(values.source, options);
+      if (deleted === 0) {
+        throw new Error(`No chunks found for source: ${values.source}`);
+      }
+      console.log(`✓ Deleted ${deleted} chunks from source: ${values.source}`);
+    },
+  },
+  export: {
+    usage: "export <file>",
+    summary: "Write the collection, with its embeddings, to a JSONL snapshot",
+    minPositionals: 1,
+    options: {
+      source: {
+        type: "string",
+        multiple: true,
+        description: "Export only this source (repeatable)",
+      },
+    },
+    run: async ({ positionals, values, options }) => {
+      const { chunks, sources, parents } = await exportSnapshot(
+        positionals[0],
+        { ...options, sources: values.source }
+      );
+      console.log(
+        `✓ Exported ${chunks} chunks and ${parents} parent records of ${sources.length} sources to ${positionals[0]}`
+      );
+    },
+  },
+  import: {
+    usage: "import <file>",
+    summary:
+      "Restore a snapshot into a collection (default: the one exported) without re-embedding",
+    minPositionals: 1,
+    run: async ({ positionals, options }) => {
+      const { collection, chunks, sources, parents } = await importSnapshot(
+        positionals[0],
+        options
+      );
+      console.log(
+        `✓ Imported ${chunks} chunks and ${parents} parent records of ${sources.length} sources into ${collection}`
+      );
+    },
+  },
+  mcp: {
+    usage: "mcp [paths...]",
+    summary: "Serve the collection to MCP clients over stdio",
+    options: {
+      memory: {
+        type: "boolean",
+        description:
+          "Serve the given files from an in-memory vector store instead of Chroma",
+      },
+    },
+    run: async ({ positionals, values, options }) => {
+      if (values.memory && positionals.length === 0) {
+        throw new UsageError("mcp --memory needs files to serve");
+      }
+      if (!values.memory && positionals.length > 0) {
+        throw new UsageError(
+          "mcp serves the collection; pass --memory to serve files instead"
+        );
+      }
+      // stdout carries the protocol, so loading files and queries log to stderr
+      console.log = console.error;
+      await startMcpServer({
+        ...options,
+        store: values.memory ? await loadMemoryStore(positionals) : undefined,
+      });
+    },
+  },
+  serve: {
+    usage: "serve",
+    summary: "Run the HTTP API for ingestion, search and answers",
+    options: {
+      port: {
+        type: "string",
+        description: `Port to listen on (default: ${DEFAULT_PORT})`,
+      },
+      host: {
+        type: "string",
+        description: `Interface to bind (default: ${DEFAULT_HOST}, local only)`,
+      },
+    },
+    run: async ({ values, options }) => {
+      const server = await startServer({
+        ...options,
+        port: parseNonNegativeInt(values.port, "--port") ?? DEFAULT_PORT,
+        host: values.host,
+      });
+      const stop = () => server.close();
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+      await new Promise((resolve) => server.on("close", resolve));
+    },
+  },
+};
+
+function parseList(value) {
+  return value
+    ?.split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parsePositiveInt(value, flag, defaultValue) {
+  if (value === undefined) return defaultValue;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new UsageError(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return parsed;
+}
+
+function parseNonNegativeInt(value, flag) {
+  if (value === undefined) return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new UsageError(
+      `${flag} must be a non-negative integer, got "${value}"`
+    );
+  }
+  return parsed;
+}
+
+function parseCutoffs(value) {
+  if (value === undefined) return DEFAULT_KS;
+  const ks = [value]
+    .flat()
+    .join(",")
+    .split(",")
+    .map((k) => k.trim());
+  return [...new Set(ks.map((k) => parsePositiveInt(k, "--k")))].sort(
+    (a, b) => a - b
+  );
+}
+
+function parseNumber(value, flag, defaultValue) {
+  if (value === undefined) return defaultValue;
+  const parsed = Number(value);
+  if (value.trim() === "" || Number.isNaN(parsed)) {
+    throw new UsageError(`${flag} must be a number, got "${value}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Chat provider and model from --provider/--model, else the configured ones.
+ * A configured model is dropped when --provider names another provider.
+ */
+function chatModelOptions(values, options) {
+  if (!values.provider) {
+    return { provider: options.provider, model: values.model ?? options.model };
+  }
+  return { provider: values.provider, model: values.model };
+}
+
+/**
+ * Reads repeated --chunk-strategy flags: a bare strategy replaces the
+ * configured ones for every file type, type=strategy sets one file type
+ */
+function parseChunkStrategies(flags, options) {
+  if (!flags) return {};
+  let chunkStrategy = options.chunkStrategy;
+  let chunkStrategies = { ...options.chunkStrategies };
+  flags.forEach((flag) => {
+    const [type, strategy] = flag.includes("=")
+      ? flag.split("=", 2)
+      : [null, flag];
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+      throw new UsageError(
+        `--chunk-strategy must be one of ${CHUNKING_STRATEGIES.join(
+          ", "
+        )}, got "${strategy}"`
+      );
+    }
+    if (type === null) {
+      chunkStrategy = strategy;
+      chunkStrategies = {};
+    } else if (!LOADER_NAMES.includes(type)) {
+      throw new UsageError(
+        `--chunk-strategy file type must be one of ${LOADER_NAMES.join(
+          ", "
+        )}, got "${type}"`
+      );
+    } else {
+      chunkStrategies[type] = strategy;
+    }
+  });
+  return { chunkStrategy, chunkStrategies };
+}
+
+/**
+ * Reads the retrieval flags shared by query and ask, reporting malformed
+ * values and filters as usage errors. nResults is the number of results the
+ * command asks for, which --fetchK may not undercut.
+ */
+function parseRetrievalOptions(values, nResults) {
+  const retrieval = {
+    source: values.source,
+    filters: values.where,
+    minScore: parseFraction(values.minScore, "--minScore"),
+    keywordWeight: parseFraction(values.keywordWeight, "--keywordWeight"),
+    rerank: values.rerank,
+    fetchK: parsePositiveInt(values.fetchK, "--fetchK"),
+    mmrLambda: parseFraction(values.mmrLambda, "--mmrLambda"),
+    rerankModel: values.rerankModel,
+    rerankProvider: values.rerankProvider,
+    collections: parseList(values.collections),
+  };
+  // Flags left out keep the configured settings
+  Object.keys(retrieval).forEach((key) => {
+    if (retrieval[key] === undefined) delete retrieval[key];
+  });
+  if (retrieval.rerank && !RERANKERS.includes(retrieval.rerank)) {
+    throw new UsageError(
+      `--rerank must be one of ${RERANKERS.join(", ")}, got "${
+        retrieval.rerank
+      }"`
+    );
+  }
+  if (retrieval.fetchK !== undefined && retrieval.fetchK < nResults) {
+    throw new UsageError(
+      `--fetchK must be at least the number of results (${nResults}), got "${values.fetchK}"`
+    );
+  }
+  try {
+    buildWhere(retrieval);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return retrieval;
+}
+
+function parseFraction(value, flag) {
+  const parsed = parseNumber(value, flag);
+  if (parsed < 0 || parsed > 1) {
+    throw new UsageError(`${flag} must be between 0 and 1, got "${value}"`);
+  }
+  return parsed;
+}
+
+function formatOptions(options) {
+  return Object.entries(options)
+    .map(([name, { short, description }]) => {
+      const flag = `${short ? `-${short}, ` : ""}--${name}`;
+      return `  ${flag.padEnd(24)} ${description}`;
+    })
+    .join("\n");
+}
+
+function generalHelp() {
+  const commands = Object.values(COMMANDS)
+    .map(({ usage, summary }) => `  ${usage.padEnd(24)} ${summary}`)
+    .join("\n");
+  return `Usage: rag <command> [options]
+
+Commands:
+${commands}
+
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}
+
+Run "rag <command> --help" for command options.`;
+}
+
+function commandHelp(command) {
+  const { usage, summary, options = {} } = COMMANDS[command];
+  return `Usage: rag ${usage} [options]
+
+${summary}
+${
+  Object.keys(options).length > 0
+    ? `\nOptions:\n${formatOptions(options)}\n`
+    : ""
+}
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}`;
+}
+
+/**
+ * Finds the subcommand, skipping over the values of global string flags
+ * so "rag --collection docs query ..." picks "query"
+ */
+function findCommandIndex(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("-")) return i;
+    const name = arg.replace(/^--?/, "");
+    if (GLOBAL_OPTIONS[name]?.type === "string") i++;
+  }
+  return -1;
+}
+
+/**
+ * Runs the rag CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit code: 0 on success, 1 on failure, 2 on usage errors
+ */
+export async function runCli(argv) {
+  const commandIndex = findCommandIndex(argv);
+  const command = commandIndex === -1 ? undefined : argv[commandIndex];
+  const rest = argv.filter((_, index) => index !== commandIndex);
+
+  if (!command) {
+    const wantsHelp = rest.includes("--help") || rest.includes("-h");
+    (wantsHelp ? console.log : console.error)(generalHelp());
+    return wantsHelp ? 0 : 2;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${generalHelp()}`);
+    return 2;
+  }
+
+  const definition = COMMANDS[command];
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...definition.options },
+      allowPositionals: true,
+      strict: true,
+    });
+
+    if (values.help) {
+      console.log(commandHelp(command));
+      return 0;
+    }
+
+    if (positionals.length < (definition.minPositionals || 0)) {
+      throw new UsageError(`Missing arguments. Usage: rag ${definition.usage}`);
+    }
+
+    let config;
+    try {
+      config = await loadConfig({
+        file: values.config,
+        overrides: {
+          url: values.url,
+          collectionName: values.collection,
+          embedding: {
+            provider: values["embedding-provider"],
+            model: values["embedding-model"],
+          },
+        },
+      });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      return 2;
+    }
+
+    await definition.run({
+      positionals,
+      values,
+      config,
+      options: configToOptions(config.config, config.origins),
+    });
+    return 0;
+  } catch (error) {
+    if (
+      error instanceof UsageError ||
+      error.code?.startsWith("ERR_PARSE_ARGS")
+    ) {
+      console.error(
+        `Error: ${error.message}\nRun "rag ${command} --help" for usage.`
+      );
+      return 2;
+    }
+    console.error(`Error running ${command}:`, error);
+    return 1;
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  loadEnv();
+  process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -0,0 +1,75 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  askQuestion,
+  DEFAULT_MIN_RELEVANCE,
+  NOT_FOUND_ANSWER,
+} from "../lib/ask.js";
+
+const passages = [
+  {
+    source: "rules.md",
+    chunkId: 0,
+    content: "Go to jail.",
+    relevanceScore: 0.8,
+  },
+  { source: "faq.md", chunkId: 3, content: "Pay rent.", relevanceScore: 0.7 },
+];
+
+const chatModel = (answer) => ({
+  invoke: mock.fn(async () => ({ content: [{ type: "text", text: answer }] })),
+});
+
+describe("askQuestion", () => {
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("keeps only the passages the answer cites, in citation order", async () => {
+    const model = chatModel("Pay rent [2], or go to jail [1] [2] [9].");
+    const { answer, citations } = await askQuestion("what happens?", {
+      retrieve: async () => passages,
+      chatModel: model,
+    });
+    assert.equal(answer, "Pay rent [2], or go to jail [1] [2] [9].");
+    assert.deepEqual(
+      citations.map(({ number, source }) => [number, source]),
+      [
+        [2, "faq.md"],
+        [1, "rules.md"],
+      ]
+    );
+    assert.match(
+      model.invoke.mock.calls[0].arguments[0][1].content,
+      /\[1\][\s\S]*Go to jail\.[\s\S]*\[2\][\s\S]*Pay rent\./
+    );
+  });
+
+  it("refuses without calling the model when the best chunk is below the default threshold", async () => {
+    const model = chatModel("Xylophones [1].");
+    const weak = passages.map((chunk) => ({
+      ...chunk,
+      relevanceScore: DEFAULT_MIN_RELEVANCE - 0.1,
+    }));
+    const result = await askQuestion("xylophone", {
+      retrieve: async () => weak,
+      chatModel: model,
+    });
+    assert.deepEqual(result, { answer: NOT_FOUND_ANSWER, citations: [] });
+    assert.equal(model.invoke.mock.callCount(), 0);
+
+    const forced = await askQuestion("xylophone", {
+      retrieve: async () => weak,
+      chatModel: model,
+      minRelevance: 0,
+    });
+    assert.equal(forced.citations.length, 1);
+  });
+
+  it("returns no citations when the model finds no answer", async () => {
+    const result = await askQuestion("what happens?", {
+      retrieve: async () => passages,
+      chatModel: chatModel(`The answer is ${NOT_FOUND_ANSWER}.`),
+    });
+    assert.deepEqual(result, { answer: NOT_FOUND_ANSWER, citations: [] });
+  });
+});
@@ -0,0 +1,236 @@
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Readable, Writable } from "node:stream";
+import {
+  chatTurn,
+  createSession,
+  loadTranscript,
+  rewriteQuestion,
+  runChat,
+  saveTranscript,
+} from "../lib/chat.js";
+
+const passages = [
+  {
+    source: "rules.md",
+    chunkId: 0,
+    content: "Go to jail.",
+    relevanceScore: 0.8,
+  },
+];
+
+// Rewrites follow-ups to `rewritten` and answers everything else with `answer`
+const chatModel = ({ rewritten = "", answer = "Go to jail [1]." } = {}) => ({
+  invoke: mock.fn(async (messages) => ({
+    content: messages[0].content.startsWith("Rewrite") ? rewritten : answer,
+  })),
+});
+
+const turn = (question, answer) => ({ question, answer, citations: [] });
+
+describe("rewriteQuestion", () => {
+  it("leaves the first question alone", async () => {
+    const model = chatModel();
+    assert.equal(
+      await rewriteQuestion("what is jail?", [], model),
+      "what is jail?"
+    );
+    assert.equal(model.invoke.mock.callCount(), 0);
+  });
+
+  it("rewrites follow-ups against the latest turns", async () => {
+    const model = chatModel({
+      rewritten: "  how much is rent on Boardwalk?\n",
+    });
+    const turns = ["one", "two", "three", "four", "five"].map((word) =>
+      turn(`question ${word}`, `answer ${word}`)
+    );
+    const standalone = await rewriteQuestion("and rent?", turns, model);
+    assert.equal(standalone, "how much is rent on Boardwalk?");
+
+    const prompt = model.invoke.mock.calls[0].arguments[0][1].content;
+    assert.doesNotMatch(prompt, /question one/);
+    assert.match(prompt, /User: question five\nAssistant: answer five/);
+    assert.match(prompt, /Follow-up question: and rent\?$/);
+  });
+
+  it("keeps the question when the model returns nothing", async () => {
+    const model = chatModel({ rewritten: " " });
+    const turns = [turn("what is jail?", "A square.")];
+    assert.equal(await rewriteQuestion("and rent?", turns, model), "and rent?");
+  });
+});
+
+describe("chatTurn", () => {
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("searches for the standalone question and records the turn", async () => {
+    const session = createSession({ collectionName: "games" });
+    session.turns.push(turn("what is jail?", "A square."));
+    const retrieve = mock.fn(async () => passages);
+
+    const result = await chatTurn(session, "how do I leave it?", {
+      chatModel: chatModel({ rewritten: "how do I leave jail?" }),
+      retrieve,
+    });
+    assert.equal(retrieve.mock.calls[0].arguments[0], "how do I leave jail?");
+    assert.equal(result.question, "how do I leave it?");
+    assert.equal(result.standaloneQuestion, "how do I leave jail?");
+    assert.equal(result.answer, "Go to jail [1].");
+    assert.deepEqual(
+      result.citations.map(({ source }) => source),
+      ["rules.md"]
+    );
+    assert.equal(session.turns.length, 2);
+    assert.equal(session.turns[1], result);
+  });
+
+  it("asks the question as typed when the rewrite fails", async () => {
+    mock.method(console, "warn", () => {});
+    const session = createSession();
+    session.turns.push(turn("what is jail?", "A square."));
+    const model = chatModel();
+    model.invoke.mock.mockImplementationOnce(async () => {
+      throw new Error("overloaded");
+    });
+
+    const result = await chatTurn(session, "and rent?", {
+      chatModel: model,
+      retrieve: async () => passages,
+    });
+    assert.equal(result.standaloneQuestion, "and rent?");
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
+
+describe("transcripts", () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-chat-"));
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("round-trips a session", async () => {
+    const file = path.join(dir, "session.json");
+    const session = createSession({ collectionName: "games" });
+    session.turns.push(turn("what is jail?", "A square."));
+    await saveTranscript(session, file);
+
+    const loaded = await loadTranscript(file);
+    assert.equal(loaded.collection, "games");
+    assert.deepEqual(loaded.turns, session.turns);
+    assert.ok(loaded.updatedAt);
+  });
+
+  it("rejects files that are not transcripts", async () => {
+    const file = path.join(dir, "notes.json");
+    await fs.writeFile(file, JSON.stringify({ notes: [] }));
+    await assert.rejects(loadTranscript(file), /is not a chat transcript/);
+    await assert.rejects(
+      loadTranscript(path.join(dir, "missing.json")),
+      /Cannot read transcript/
+    );
+  });
+});
+
+describe("runChat", () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-chat-"));
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+  beforeEach(() => mock.method(console, "log", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  // Feeds lines to runChat and returns the session and everything it printed
+  const chat = async (lines, options) => {
+    let printed = "";
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        printed += chunk;
+        callback();
+      },
+    });
+    const session = await runChat({
+      input: Readable.from(lines.map((line) => `${line}\n`)),
+      output,
+      retrieve: async () => passages,
+      ...options,
+    });
+    return { session, printed };
+  };
+
+  it("answers, lists sources and saves later turns to the transcript", async () => {
+    const file = path.join(dir, "saved.json");
+    const { session, printed } = await chat(
+      [
+        "what is jail?",
+        "/sources",
+        `/save ${file}`,
+        "how do I leave?",
+        "/bogus",
+        "/exit",
+        "never asked",
+      ],
+      { chatModel: chatModel({ rewritten: "how do I leave jail?" }) }
+    );
+
+    assert.deepEqual(
+      session.turns.map(({ question }) => question),
+      ["what is jail?", "how do I leave?"]
+    );
+    assert.match(printed, /Go to jail \[1\]\.\n\[1\] rules\.md \(chunk 0\)/);
+    assert.match(printed, /\[1\] rules\.md \(chunk 0\) relevance 0\.800/);
+    assert.match(printed, /Saved 1 turns to /);
+    assert.match(printed, /\(searched for: how do I leave jail\?\)/);
+    assert.match(printed, /Unknown command \/bogus/);
+
+    const saved = await loadTranscript(file);
+    assert.equal(saved.turns.length, 2);
+  });
+
+  it("resumes a saved transcript and keeps its collection", async () => {
+    const file = path.join(dir, "resume.json");
+    const session = createSession({ collectionName: "games" });
+    session.turns.push(turn("what is jail?", "A square."));
+    await saveTranscript(session, file);
+    const retrieve = mock.fn(async () => passages);
+
+    const { printed } = await chat(["and rent?"], {
+      resume: file,
+      chatModel: chatModel({ rewritten: "what is the rent?" }),
+      retrieve,
+    });
+    assert.match(
+      printed,
+      /Resumed 1 turns from .*\nLast question: what is jail\?/
+    );
+    assert.equal(retrieve.mock.calls[0].arguments[1].collectionName, "games");
+    assert.equal((await loadTranscript(file)).turns.length, 2);
+  });
+
+  it("starts over on /reset without touching the transcript", async () => {
+    const file = path.join(dir, "reset.json");
+    const { session, printed } = await chat(
+      [`/save ${file}`, "what is jail?", "/reset", "/sources"],
+      { chatModel: chatModel() }
+    );
+    assert.equal(session.turns.length, 0);
+    assert.match(printed, /Nothing asked yet/);
+    assert.equal((await loadTranscript(file)).turns.length, 1);
+  });
+});
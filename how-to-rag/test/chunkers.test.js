@@ -0,0 +1,195 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createChunker, splitSentences } from "../lib/chunkers.js";
+import { FakeEmbeddings } from "../lib/embeddings.js";
+
+const doc = (pageContent, metadata = {}) => ({
+  pageContent,
+  metadata: { source: "rules.md", ...metadata },
+});
+
+const split = async (strategy, text, options = {}) =>
+  (
+    await createChunker(strategy, {
+      chunkSize: 120,
+      chunkOverlap: 0,
+      ...options,
+    }).splitDocument(doc(text))
+  ).map(({ pageContent }) => pageContent);
+
+const sentences = (count, text) => Array(count).fill(text).join(" ");
+
+describe("splitSentences", () => {
+  it("keeps every character and ends paragraphs on blank lines", () => {
+    const text =
+      "Roll the dice. Move your token\nclockwise.\n\nBuy what you land on.";
+    const result = splitSentences(text);
+    assert.equal(result.map(({ text }) => text).join(""), text);
+    assert.deepEqual(
+      result.map(({ text, paragraphEnd }) => [text.trim(), paragraphEnd]),
+      [
+        ["Roll the dice.", false],
+        ["Move your token\nclockwise.", true],
+        ["Buy what you land on.", true],
+      ]
+    );
+  });
+});
+
+describe("createChunker", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("refuses unknown strategies and missing helpers", () => {
+    assert.throws(
+      () => createChunker("pages", { chunkSize: 100, chunkOverlap: 0 }),
+      /Unknown chunking strategy "pages"/
+    );
+    assert.throws(
+      () => createChunker("token", { chunkSize: 100, chunkOverlap: 0 }),
+      /needs a tokenizer/
+    );
+    assert.throws(
+      () => createChunker("semantic", { chunkSize: 100, chunkOverlap: 0 }),
+      /needs an embedder/
+    );
+  });
+
+  it("keeps the document metadata on every chunk", async () => {
+    const chunker = createChunker("recursive", {
+      chunkSize: 40,
+      chunkOverlap: 0,
+    });
+    const chunks = await chunker.splitDocument(
+      doc(sentences(4, "Pay rent to the owner."), { page: 3 })
+    );
+    assert.ok(chunks.length > 1);
+    chunks.forEach(({ pageContent, metadata }) => {
+      assert.ok(pageContent.length <= 40);
+      assert.deepEqual(metadata, { source: "rules.md", page: 3 });
+    });
+  });
+
+  it("packs whole sentences and ends chunks on paragraphs", async () => {
+    const text = [
+      "Go to jail. Do not pass go.",
+      "Pay rent to the owner of the property. Mortgaged streets pay nothing.",
+      "Roll doubles to leave jail.",
+    ].join("\n\n");
+    const chunks = await split("sentence", text, { chunkSize: 80 });
+    assert.deepEqual(chunks, [
+      "Go to jail. Do not pass go.",
+      "Pay rent to the owner of the property. Mortgaged streets pay nothing.",
+      "Roll doubles to leave jail.",
+    ]);
+  });
+
+  it("carries closing sentences over when a paragraph runs on", async () => {
+    const chunks = await split(
+      "sentence",
+      "One two three. Four five six. Seven eight nine. Ten eleven twelve.",
+      { chunkSize: 36, chunkOverlap: 18 }
+    );
+    assert.deepEqual(chunks, [
+      "One two three. Four five six.",
+      "Four five six. Seven eight nine.",
+      "Seven eight nine. Ten eleven twelve.",
+    ]);
+  });
+
+  it("sizes token chunks with the tokenizer and caps them at its limit", async () => {
+    mock.method(console, "warn", () => {});
+    const tokenizer = {
+      count: (text) => text.split(/\s+/).filter(Boolean).length,
+      maxTokens: 5,
+    };
+    const chunker = createChunker("token", {
+      chunkSize: 50,
+      chunkOverlap: 0,
+      tokenizer,
+    });
+    assert.equal(chunker.chunkSize, 5);
+    assert.match(console.warn.mock.calls[0].arguments[0], /5-token limit/);
+
+    const chunks = await chunker.splitDocument(
+      doc("one two three four five six seven eight nine ten eleven")
+    );
+    assert.ok(chunks.length >= 3);
+    chunks.forEach(({ pageContent }) =>
+      assert.ok(tokenizer.count(pageContent) <= 5)
+    );
+  });
+
+  it("starts a semantic chunk where the topic changes", async () => {
+    const jail = "Jail holds players who roll three doubles.";
+    const cooking = "Simmer onions slowly in butter until golden.";
+    const chunks = await split(
+      "semantic",
+      `${sentences(6, jail)} ${sentences(6, cooking)}`,
+      { chunkSize: 1000, embeddings: new FakeEmbeddings() }
+    );
+    assert.deepEqual(chunks, [sentences(6, jail), sentences(6, cooking)]);
+  });
+});
+
+describe("markdown strategy", () => {
+  const rules = [
+    "# Rules",
+    "",
+    "## Jail",
+    "",
+    "Go directly to jail and do not pass go.",
+    "",
+    "Roll doubles on any of your next three turns to leave.",
+    "",
+    "Or pay a fine of fifty before rolling.",
+    "",
+    "## Rent",
+    "",
+    "Pay rent to the owner.",
+    "",
+  ].join("\n");
+
+  it("repeats the section heading on every chunk within the size", async () => {
+    const chunker = createChunker("markdown", {
+      chunkSize: 80,
+      chunkOverlap: 0,
+    });
+    const chunks = await chunker.splitDocument(doc(rules));
+    const jail = chunks.filter(
+      ({ metadata }) => metadata.heading_path === "Rules > Jail"
+    );
+    assert.ok(jail.length > 1);
+    jail.forEach(({ pageContent }) => {
+      assert.match(pageContent, /^## Jail\n/);
+      assert.ok(pageContent.length <= 80);
+    });
+    assert.deepEqual(chunks[chunks.length - 1], {
+      pageContent: "## Rent\n\nPay rent to the owner.",
+      metadata: { source: "rules.md", heading_path: "Rules > Rent" },
+    });
+  });
+
+  it("does not repeat a heading taking half the chunk or more", async () => {
+    const heading = `## ${"Very long heading ".repeat(3).trim()}`;
+    const chunks = await split(
+      "markdown",
+      `${heading}\n\n${sentences(4, "Pay rent to the owner.")}\n`,
+      { chunkSize: 100 }
+    );
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks[0].startsWith(heading));
+    chunks.slice(1).forEach((chunk) => assert.ok(!chunk.startsWith("##")));
+  });
+
+  it("keeps fenced code whole and ignores headings inside it", async () => {
+    const code = "```sh\n# not a heading\nrag ingest docs\n```";
+    const chunks = await createChunker("markdown", {
+      chunkSize: 60,
+      chunkOverlap: 0,
+    }).splitDocument(doc(`# Setup\n\nRun this:\n\n${code}\n\nThen query.\n`));
+    assert.ok(chunks.some(({ pageContent }) => pageContent.includes(code)));
+    assert.ok(
+      chunks.every(({ metadata }) => metadata.heading_path === "Setup")
+    );
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { runCli } from "../rag.js";
+
+describe("runCli", () => {
+  let errors;
+
+  beforeEach(() => {
+    errors = [];
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", (message) => errors.push(message));
+  });
+  afterEach(() => mock.restoreAll());
+
+  const run = (...argv) => runCli([...argv, "--url", "memory:"]);
+
+  it("rejects a --fetchK smaller than --nResults as a usage error", async () => {
+    assert.equal(
+      await run("query", "rent", "--nResults", "5", "--fetchK", "2"),
+      2
+    );
+    assert.match(
+      errors[0],
+      /--fetchK must be at least the number of results \(5\)/
+    );
+  });
+
+  it("rejects a --minScore outside 0 to 1 as a usage error", async () => {
+    assert.equal(await run("query", "rent", "--minScore", "1.5"), 2);
+    assert.match(errors[0], /--minScore must be between 0 and 1, got "1.5"/);
+    assert.equal(await run("query", "rent", "--minScore=-0.1"), 2);
+    assert.match(errors[1], /--minScore must be between 0 and 1/);
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  configToOptions,
+  DEFAULT_CONFIG,
+  describeConfig,
+  loadConfig,
+} from "../lib/config.js";
+
+let root;
+let count = 0;
+
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), "rag-config-"));
+});
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+// Loads settings from a fresh directory holding the given config files
+const load = async (files = {}, options = {}) => {
+  const cwd = path.join(root, `case-${++count}`);
+  await fs.mkdir(cwd);
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(
+      path.join(cwd, name),
+      typeof content === "string" ? content : JSON.stringify(content)
+    );
+  }
+  return loadConfig({ env: {}, ...options, cwd });
+};
+
+describe("loadConfig", () => {
+  const projectFile = {
+    "rag.config.json": {
+      collectionName: "docs",
+      retrieval: { nResults: 7, keywordWeight: 0.3 },
+      chunking: { chunkSize: 800 },
+      collections: { games: { retrieval: { nResults: 9 } } },
+    },
+  };
+
+  it("falls back to the built-in defaults", async () => {
+    const { config, file, profile, origins } = await load();
+    assert.deepEqual(config, DEFAULT_CONFIG);
+    assert.equal(file, null);
+    assert.equal(profile, null);
+    assert.ok(Object.values(origins).every((origin) => origin === "default"));
+  });
+
+  it("layers defaults, file, profile, environment and command line", async () => {
+    const fromFile = await load(projectFile);
+    assert.equal(fromFile.config.retrieval.nResults, 7);
+    assert.equal(fromFile.config.retrieval.minScore, 0);
+    assert.equal(fromFile.origins["retrieval.nResults"], "rag.config.json");
+
+    const fromProfile = await load(projectFile, {
+      env: { RAG_COLLECTION: "games" },
+    });
+    assert.equal(fromProfile.profile, "games");
+    assert.equal(fromProfile.config.retrieval.nResults, 9);
+    assert.equal(fromProfile.config.retrieval.keywordWeight, 0.3);
+    assert.equal(
+      fromProfile.origins["retrieval.nResults"],
+      "rag.config.json collections.games"
+    );
+
+    const fromEnv = await load(projectFile, {
+      env: { RAG_COLLECTION: "games", RAG_N_RESULTS: "11" },
+    });
+    assert.equal(fromEnv.config.retrieval.nResults, 11);
+    assert.equal(fromEnv.origins["retrieval.nResults"], "RAG_N_RESULTS");
+
+    const fromCli = await load(projectFile, {
+      env: { RAG_COLLECTION: "games", RAG_N_RESULTS: "11" },
+      overrides: { retrieval: { nResults: 13 } },
+    });
+    assert.equal(fromCli.config.retrieval.nResults, 13);
+    assert.equal(fromCli.origins["retrieval.nResults"], "command line");
+  });
+
+  it("picks the profile of the collection chosen on the command line", async () => {
+    const { profile, config } = await load(projectFile, {
+      env: { RAG_COLLECTION: "other" },
+      overrides: { collectionName: "games" },
+    });
+    assert.equal(profile, "games");
+    assert.equal(config.collectionName, "games");
+  });
+
+  it("reads YAML files and the file named by RAG_CONFIG", async () => {
+    const yaml = await load({
+      "rag.config.yml": "retrieval:\n  rerank: mmr\n",
+    });
+    assert.equal(yaml.config.retrieval.rerank, "mmr");
+
+    const named = await load(
+      { "team.json": { retrieval: { fetchK: 40 } } },
+      { env: { RAG_CONFIG: "team.json" } }
+    );
+    assert.equal(path.basename(named.file), "team.json");
+    assert.equal(named.config.retrieval.fetchK, 40);
+
+    await assert.rejects(
+      load({}, { file: "missing.json" }),
+      /Config file not found: missing\.json/
+    );
+  });
+
+  it("drops a model when a later layer switches provider", async () => {
+    const { config, origins } = await load(
+      {
+        "rag.config.json": {
+          embedding: { provider: "openai", model: "text-embedding-3-large" },
+        },
+      },
+      { env: { EMBEDDING_PROVIDER: "fake" } }
+    );
+    assert.deepEqual(config.embedding, { provider: "fake", model: null });
+    assert.equal(origins["embedding.model"], "EMBEDDING_PROVIDER");
+  });
+
+  it("merges collection metadata key by key", async () => {
+    const { config } = await load(
+      {
+        "rag.config.json": {
+          collectionMetadata: { "hnsw:space": "cosine" },
+          collections: { docs: { collectionMetadata: { "hnsw:M": 32 } } },
+        },
+      },
+      { overrides: { collectionName: "docs" } }
+    );
+    assert.deepEqual(config.collectionMetadata, {
+      "hnsw:space": "cosine",
+      "hnsw:construction_ef": 200,
+      "hnsw:M": 32,
+    });
+  });
+
+  it("reads null from the environment for nullable settings", async () => {
+    const { config } = await load(
+      { "rag.config.json": { retrieval: { rerank: "mmr" } } },
+      { env: { RAG_RERANK: "null" } }
+    );
+    assert.equal(config.retrieval.rerank, null);
+  });
+
+  it("names the file or variable behind an invalid setting", async () => {
+    await assert.rejects(
+      load({ "rag.config.json": { retrieval: { nResult: 3 } } }),
+      /rag\.config\.json: unknown setting "retrieval\.nResult"/
+    );
+    await assert.rejects(
+      load({ "rag.config.json": { retrieval: { minScore: 2 } } }),
+      /rag\.config\.json: retrieval\.minScore must be a number from 0 to 1, got 2/
+    );
+    await assert.rejects(
+      load({}, { env: { RAG_N_RESULTS: "many" } }),
+      /RAG_N_RESULTS must be a positive integer, got "many"/
+    );
+    await assert.rejects(
+      load({ "rag.config.yaml": "retrieval: [" }),
+      /Cannot parse rag\.config\.yaml/
+    );
+    await assert.rejects(
+      load({
+        "rag.config.json": {
+          collectionName: "docs",
+          collections: { docs: { url: "memory:" } },
+        },
+      }),
+      /collections\.docs: url cannot be set per collection/
+    );
+  });
+
+  it("checks settings against each other once merged", async () => {
+    await assert.rejects(
+      load(
+        { "rag.config.json": { chunking: { chunkSize: 100 } } },
+        { env: { RAG_CHUNK_OVERLAP: "100" } }
+      ),
+      /chunkOverlap \(100, from RAG_CHUNK_OVERLAP\) must be smaller than chunking\.chunkSize \(100, from rag\.config\.json\)/
+    );
+    await assert.rejects(
+      load({
+        "rag.config.json": { collectionMetadata: { "hnsw:space": "dot" } },
+      }),
+      /"hnsw:space" must be one of l2, cosine, ip, got "dot" \(from rag\.config\.json\)/
+    );
+  });
+});
+
+describe("configToOptions", () => {
+  it("flattens settings and leaves out a collection nobody chose", async () => {
+    const defaults = await load();
+    const options = configToOptions(defaults.config, defaults.origins);
+    assert.equal("collectionName" in options, false);
+    assert.equal(options.nResults, DEFAULT_CONFIG.retrieval.nResults);
+    assert.equal(options.provider, "openai");
+
+    const chosen = await load({}, { env: { RAG_COLLECTION: "games" } });
+    assert.equal(
+      configToOptions(chosen.config, chosen.origins).collectionName,
+      "games"
+    );
+    assert.deepEqual(
+      describeConfig(chosen).find(
+        ({ setting }) => setting === "collectionName"
+      ),
+      { setting: "collectionName", value: "games", origin: "RAG_COLLECTION" }
+    );
+  });
+});
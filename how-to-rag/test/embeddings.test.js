@@ -0,0 +1,115 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  assertCompatibleEmbeddings,
+  createEmbeddings,
+  describeEmbeddings,
+} from "../lib/embeddings.js";
+import { addToChroma } from "../lib/ingest.js";
+import { getRelevantChunks } from "../lib/query.js";
+
+const stored = {
+  embedding_provider: "openai",
+  embedding_model: "text-embedding-3-large",
+  embedding_dimension: 3072,
+};
+
+describe("assertCompatibleEmbeddings", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("accepts the model the collection was built with", () => {
+    assert.doesNotThrow(() =>
+      assertCompatibleEmbeddings(stored, { ...stored }, "docs")
+    );
+  });
+
+  it("refuses another model or dimension", () => {
+    assert.throws(
+      () =>
+        assertCompatibleEmbeddings(
+          stored,
+          { ...stored, embedding_model: "text-embedding-3-small" },
+          "docs"
+        ),
+      /Embedding mismatch for collection "docs": it was built with text-embedding-3-large \(3072 dimensions\)/
+    );
+    assert.throws(
+      () =>
+        assertCompatibleEmbeddings(
+          stored,
+          { ...stored, embedding_dimension: 256 },
+          "docs"
+        ),
+      /Embedding mismatch/
+    );
+  });
+
+  it("warns but accepts a collection that records no model", () => {
+    const warn = mock.method(console, "warn", () => {});
+    assert.doesNotThrow(() => assertCompatibleEmbeddings({}, stored, "legacy"));
+    assert.match(warn.mock.calls[0].arguments[0], /does not record/);
+  });
+
+  it("tells fake embedders of different sizes apart", async () => {
+    const small = await describeEmbeddings(
+      createEmbeddings({ provider: "fake", model: "fake-hash-64" })
+    );
+    const large = await describeEmbeddings(
+      createEmbeddings({ provider: "fake" })
+    );
+    assert.deepEqual(small, {
+      embedding_provider: "fake",
+      embedding_model: "fake-hash-64",
+      embedding_dimension: 64,
+    });
+    assert.throws(
+      () => assertCompatibleEmbeddings(large, small, "docs"),
+      /Embedding mismatch/
+    );
+  });
+});
+
+describe("collections built by another embedder", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("are refused by ingest and query", async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    const keywordIndexDir = await fs.mkdtemp(
+      path.join(os.tmpdir(), "rag-embeddings-")
+    );
+    const options = {
+      url: "memory:",
+      collectionName: "embeddings-test",
+      embedding: { provider: "fake" },
+      keywordIndexDir,
+    };
+    const other = {
+      ...options,
+      embedding: { provider: "fake", model: "fake-hash-64" },
+    };
+    try {
+      await addToChroma(
+        [{ pageContent: "Go to jail.", metadata: { source: "rules.md" } }],
+        options
+      );
+      await assert.rejects(
+        addToChroma(
+          [{ pageContent: "Pay rent.", metadata: { source: "rules.md" } }],
+          other
+        ),
+        /Embedding mismatch for collection "embeddings-test"/
+      );
+      await assert.rejects(
+        getRelevantChunks("jail", other),
+        /Embedding mismatch for collection "embeddings-test"/
+      );
+      assert.equal((await getRelevantChunks("jail", options)).length, 1);
+    } finally {
+      await fs.rm(keywordIndexDir, { recursive: true, force: true });
+    }
+  });
+});
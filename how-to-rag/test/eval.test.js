@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { scoreRanking } from "../lib/eval.js";
+
+const chunk = (source, content = "", metadata = {}) => ({
+  source,
+  content,
+  metadata: { source, ...metadata },
+});
+
+describe("scoreRanking", () => {
+  it("scores a perfect ranking as 1 everywhere", () => {
+    const scores = scoreRanking(
+      [chunk("a.md"), chunk("b.md")],
+      [{ source: "a.md" }, { source: "b.md" }],
+      [1, 2]
+    );
+    assert.deepEqual(scores.ranks, [1, 2]);
+    assert.equal(scores.reciprocalRank, 1);
+    assert.deepEqual(scores.recall, { 1: 0.5, 2: 1 });
+    assert.deepEqual(scores.ndcg, { 1: 1, 2: 1 });
+  });
+
+  it("counts each expected passage once, at its first match", () => {
+    const scores = scoreRanking(
+      [chunk("x.md"), chunk("a.md"), chunk("a.md"), chunk("b.md")],
+      [{ source: "a.md" }, { source: "b.md" }],
+      [3, 5]
+    );
+    assert.deepEqual(scores.ranks, [2, 4]);
+    assert.equal(scores.reciprocalRank, 0.5);
+    assert.deepEqual(scores.recall, { 3: 0.5, 5: 1 });
+    const ideal = 1 + 1 / Math.log2(3);
+    assert.ok(
+      Math.abs(scores.ndcg[5] - (1 / Math.log2(3) + 1 / Math.log2(5)) / ideal) <
+        1e-12
+    );
+  });
+
+  it("matches on text case-insensitively and scores misses as 0", () => {
+    const results = [chunk("rules.md", "Go directly to Jail.")];
+    assert.deepEqual(
+      scoreRanking(results, [{ source: "rules.md", text: "jail" }], [1]).ranks,
+      [1]
+    );
+    const missed = scoreRanking(results, [{ text: "parking" }], [1]);
+    assert.deepEqual(missed.ranks, [null]);
+    assert.equal(missed.reciprocalRank, 0);
+    assert.deepEqual(missed.recall, { 1: 0 });
+    assert.deepEqual(missed.ndcg, { 1: 0 });
+  });
+});
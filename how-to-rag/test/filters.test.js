@@ -0,0 +1,102 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildWhere, matchesWhere } from "../lib/filters.js";
+
+describe("buildWhere", () => {
+  it("returns undefined when nothing filters", () => {
+    assert.equal(buildWhere(), undefined);
+    assert.equal(buildWhere({ source: [], filters: [] }), undefined);
+  });
+
+  it("keeps a single clause unwrapped", () => {
+    assert.deepEqual(buildWhere({ source: "a.md" }), { source: "a.md" });
+    assert.deepEqual(buildWhere({ source: ["a.md", "b.md"] }), {
+      source: { $in: ["a.md", "b.md"] },
+    });
+  });
+
+  it("parses --where expressions and combines clauses with $and", () => {
+    assert.deepEqual(
+      buildWhere({
+        source: "a.md",
+        where: { lang: "en" },
+        filters: ["page=10..20", "category=[dev,ops]", "draft!=true"],
+      }),
+      {
+        $and: [
+          { source: "a.md" },
+          { lang: "en" },
+          { $and: [{ page: { $gte: 10 } }, { page: { $lte: 20 } }] },
+          { category: { $in: ["dev", "ops"] } },
+          { draft: { $ne: true } },
+        ],
+      }
+    );
+  });
+
+  it("keeps quoted values as strings", () => {
+    assert.deepEqual(buildWhere({ filters: ["id='42'"] }), {
+      id: { $eq: "42" },
+    });
+    assert.deepEqual(buildWhere({ filters: ["id=42"] }), { id: { $eq: 42 } });
+  });
+
+  it("rejects where clauses with unknown operators", () => {
+    assert.throws(
+      () => buildWhere({ where: { $bad: 1 } }),
+      /Unknown where operator/
+    );
+    assert.throws(
+      () => buildWhere({ where: { $and: [{ page: { $like: 2 } }, {}] } }),
+      /Unknown filter operator \$like on "page"/
+    );
+    assert.throws(
+      () => buildWhere({ where: { page: { $in: 2 } } }),
+      /\$in on "page" needs an array/
+    );
+    assert.deepEqual(buildWhere({ where: { page: { $nin: [1, 2] } } }), {
+      page: { $nin: [1, 2] },
+    });
+  });
+
+  it("rejects malformed expressions", () => {
+    assert.throws(() => buildWhere({ filters: ["page"] }), /Invalid filter/);
+    assert.throws(
+      () => buildWhere({ filters: ["title>abc"] }),
+      /needs a numeric value/
+    );
+  });
+});
+
+describe("matchesWhere", () => {
+  const metadata = { source: "a.md", page: 12, category: "dev", draft: false };
+
+  it("matches everything without a clause", () => {
+    assert.equal(matchesWhere(metadata, undefined), true);
+  });
+
+  it("evaluates clauses built by buildWhere", () => {
+    const matches = (options) => matchesWhere(metadata, buildWhere(options));
+    assert.equal(matches({ source: "a.md" }), true);
+    assert.equal(matches({ source: ["b.md", "c.md"] }), false);
+    assert.equal(matches({ filters: ["page=10..20"] }), true);
+    assert.equal(matches({ filters: ["page>12"] }), false);
+    assert.equal(matches({ filters: ["category!=[ops,hr]"] }), true);
+    assert.equal(matches({ filters: ["draft=true"] }), false);
+    assert.equal(
+      matches({ source: "a.md", filters: ["page<=12", "category=dev"] }),
+      true
+    );
+  });
+
+  it("supports $or and treats missing or non-numeric fields as no match for ranges", () => {
+    assert.equal(
+      matchesWhere(metadata, {
+        $or: [{ source: "b.md" }, { category: { $eq: "dev" } }],
+      }),
+      true
+    );
+    assert.equal(matchesWhere(metadata, { row: { $gte: 1 } }), false);
+    assert.equal(matchesWhere({ page: "12" }, { page: { $gte: 1 } }), false);
+  });
+});
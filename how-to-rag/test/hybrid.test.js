@@ -0,0 +1,39 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fuseRankings } from "../lib/hybrid.js";
+
+describe("fuseRankings", () => {
+  it("ranks IDs found by both lists above IDs found by one", () => {
+    const fused = fuseRankings(
+      [
+        ["a", "b", "c"],
+        ["c", "d"],
+      ],
+      [0.5, 0.5]
+    );
+    assert.deepEqual(
+      fused.map(({ id }) => id),
+      ["c", "a", "b", "d"]
+    );
+    assert.ok(Math.abs(fused[0].score - (0.5 / 63 + 0.5 / 61)) < 1e-12);
+  });
+
+  it("ignores lists with no weight", () => {
+    const fused = fuseRankings([["a", "b"], ["b"]], [1, 0]);
+    assert.deepEqual(fused, [
+      { id: "a", score: 1 / 61 },
+      { id: "b", score: 1 / 62 },
+    ]);
+  });
+
+  it("lets the weights decide between the lists' top hits", () => {
+    const top = (weights) =>
+      fuseRankings([["vector"], ["keyword"]], weights)[0].id;
+    assert.equal(top([0.7, 0.3]), "vector");
+    assert.equal(top([0.3, 0.7]), "keyword");
+  });
+
+  it("returns nothing for empty rankings", () => {
+    assert.deepEqual(fuseRankings([[], []], [0.5, 0.5]), []);
+  });
+});
@@ -0,0 +1,154 @@
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { addToChroma, buildChunkIds } from "../lib/ingest.js";
+import { checkpointPath } from "../lib/checkpoint.js";
+import { createEmbeddings } from "../lib/embeddings.js";
+import { keywordIndexPath } from "../lib/keywordIndex.js";
+
+const chunk = (pageContent, metadata = {}) => ({
+  pageContent,
+  metadata: { source: "rules.md", ...metadata },
+});
+
+describe("buildChunkIds", () => {
+  it("derives IDs from source and content only", () => {
+    const [first] = buildChunkIds([chunk("Go to jail.", { chunk_id: 0 })]);
+    const [moved] = buildChunkIds([chunk("Go to jail.", { chunk_id: 7 })]);
+    const [other] = buildChunkIds([chunk("Go to jail.", { source: "faq.md" })]);
+    assert.match(first, /^[0-9a-f]{64}$/);
+    assert.equal(moved, first);
+    assert.notEqual(other, first);
+  });
+
+  it("keys JSON records by record_id so edits keep their ID", () => {
+    const [before] = buildChunkIds([chunk("v1", { record_id: "42" })]);
+    const [after] = buildChunkIds([chunk("v2", { record_id: "42" })]);
+    assert.equal(after, before);
+  });
+
+  it("suffixes repeated chunks within a source", () => {
+    const ids = buildChunkIds([chunk("Roll again."), chunk("Roll again.")]);
+    assert.equal(ids[1], `${ids[0]}_1`);
+  });
+});
+
+describe("addToChroma", () => {
+  let keywordIndexDir;
+  let collection = 0;
+  let options;
+
+  before(async () => {
+    keywordIndexDir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-index-"));
+  });
+  after(() => fs.rm(keywordIndexDir, { recursive: true, force: true }));
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    options = {
+      url: "memory:",
+      collectionName: `ingest-test-${++collection}`,
+      embedding: { provider: "fake" },
+      keywordIndexDir,
+    };
+  });
+  afterEach(() => mock.restoreAll());
+
+  const split = (texts, source = "rules.md") =>
+    texts.map((text, idx) => chunk(text, { source, chunk_id: idx }));
+
+  it("re-embeds only what changed on re-ingest", async () => {
+    const first = await addToChroma(
+      split(["Go to jail.", "Collect 200.", "Pay rent."]),
+      options
+    );
+    assert.deepEqual(
+      [first.added, first.updated, first.unchanged, first.removed],
+      [3, 0, 0, 0]
+    );
+
+    const second = await addToChroma(
+      split(["Go to jail.", "Pay rent.", "Roll doubles."]),
+      options
+    );
+    assert.deepEqual(
+      [second.added, second.updated, second.unchanged, second.removed],
+      [1, 0, 2, 1]
+    );
+    assert.equal(second.verification.ok, true);
+
+    const again = await addToChroma(
+      split(["Go to jail.", "Pay rent.", "Roll doubles."]),
+      options
+    );
+    assert.deepEqual([again.added, again.unchanged, again.removed], [0, 3, 0]);
+  });
+
+  it("leaves other sources alone", async () => {
+    await addToChroma(split(["Go to jail."], "rules.md"), options);
+    const result = await addToChroma(split(["Buy hotels."], "faq.md"), options);
+    assert.deepEqual([result.added, result.removed], [1, 0]);
+  });
+
+  it("updates JSON records in place when their content changes", async () => {
+    const records = (text) => [chunk(text, { record_id: "softgen" })];
+    await addToChroma(records("Softgen builds apps."), options);
+    const result = await addToChroma(records("Softgen ships apps."), options);
+    assert.deepEqual([result.added, result.updated, result.removed], [0, 1, 0]);
+  });
+
+  it("resumes an interrupted ingestion from its checkpoint", async () => {
+    await addToChroma(split(["Old rule."]), options);
+
+    const embedding = createEmbeddings({ provider: "fake" });
+    const embedDocuments = embedding.embedDocuments.bind(embedding);
+    let calls = 0;
+    let failAt = 2;
+    mock.method(embedding, "embedDocuments", (texts) => {
+      calls++;
+      if (calls === failAt) return Promise.reject(new Error("provider down"));
+      return embedDocuments(texts);
+    });
+    const interrupted = {
+      ...options,
+      embedding,
+      batchSize: 1,
+      concurrency: 1,
+      retries: 0,
+    };
+    const texts = ["Go to jail.", "Collect 200.", "Pay rent."];
+
+    await assert.rejects(addToChroma(split(texts), interrupted), /down/);
+    const checkpoint = JSON.parse(
+      await fs.readFile(checkpointPath(options), "utf8")
+    );
+    assert.equal(checkpoint.batches, 1);
+    assert.equal(checkpoint.embedded.length, 1);
+
+    calls = 0;
+    failAt = 0;
+    const resumed = await addToChroma(split(texts), interrupted);
+    assert.equal(calls, 2);
+    // The stale chunk outlived the failed run and goes now
+    assert.deepEqual([resumed.unchanged, resumed.removed], [1, 1]);
+    assert.equal(resumed.verification.ok, true);
+    await assert.rejects(fs.access(checkpointPath(options)));
+
+    const index = JSON.parse(
+      await fs.readFile(keywordIndexPath(options), "utf8")
+    );
+    assert.deepEqual(
+      Object.keys(index.documents).sort(),
+      buildChunkIds(split(texts)).sort()
+    );
+  });
+});
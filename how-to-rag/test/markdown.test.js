@@ -0,0 +1,62 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isCodeFence, splitMarkdownHeadings } from "../lib/markdown.js";
+
+describe("splitMarkdownHeadings", () => {
+  const text = [
+    "Intro line",
+    "# Rules",
+    "## Jail ##",
+    "Go to jail.",
+    "~~~",
+    "# inside a fence",
+    "~~~",
+    "### Fines",
+    "Pay fifty.",
+    "# FAQ",
+    "Ask away.",
+  ].join("\n");
+
+  it("tracks the heading path of each section", () => {
+    const sections = splitMarkdownHeadings(text);
+    assert.deepEqual(
+      sections.map(({ heading, headingPath }) => [heading, headingPath]),
+      [
+        [null, []],
+        ["# Rules", ["Rules"]],
+        ["## Jail ##", ["Rules", "Jail"]],
+        ["### Fines", ["Rules", "Jail", "Fines"]],
+        ["# FAQ", ["FAQ"]],
+      ]
+    );
+  });
+
+  it("marks fenced lines and ignores headings inside them", () => {
+    const jail = splitMarkdownHeadings(text)[2];
+    assert.deepEqual(
+      jail.lines.map(({ text, inFence }) => [text.trim(), inFence]),
+      [
+        ["## Jail ##", false],
+        ["Go to jail.", false],
+        ["~~~", true],
+        ["# inside a fence", true],
+        ["~~~", true],
+      ]
+    );
+  });
+
+  it("keeps line endings so sections join back into the text", () => {
+    const joined = splitMarkdownHeadings(`${text}\r\n`)
+      .flatMap(({ lines }) => lines.map((line) => line.text))
+      .join("");
+    assert.equal(joined, `${text}\r\n`);
+  });
+});
+
+describe("isCodeFence", () => {
+  it("recognises backtick and tilde fences", () => {
+    assert.equal(isCodeFence("```js"), true);
+    assert.equal(isCodeFence("  ~~~"), true);
+    assert.equal(isCodeFence("`inline`"), false);
+  });
+});
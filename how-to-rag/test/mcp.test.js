@@ -0,0 +1,95 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { createMcpServer, createMemoryStore } from "../lib/mcp.js";
+
+const chunks = [
+  {
+    content: "Go directly to jail.",
+    metadata: { source: "rules.md", chunk_id: 0, page: 1 },
+  },
+  {
+    content: "Do not pass go.",
+    metadata: { source: "rules.md", chunk_id: 1, page: 2 },
+  },
+  {
+    content: "Hotels cost more than houses.",
+    metadata: { source: "faq.md", chunk_id: 0, page: 1 },
+  },
+];
+
+describe("MCP server over a memory store", () => {
+  let keywordIndexDir;
+  let client;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    keywordIndexDir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-mcp-"));
+    const store = await createMemoryStore(chunks, {
+      collectionName: "mcp-test",
+      embedding: { provider: "fake" },
+      keywordIndexDir,
+    });
+    const [clientTransport, serverTransport] =
+      InMemoryTransport.createLinkedPair();
+    await createMcpServer({ store }).connect(serverTransport);
+    client = new Client({ name: "test", version: "1.0.0" });
+    await client.connect(clientTransport);
+  });
+
+  after(async () => {
+    await client.close();
+    mock.restoreAll();
+    await fs.rm(keywordIndexDir, { recursive: true, force: true });
+  });
+
+  const call = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    return { text: result.content[0].text, isError: result.isError };
+  };
+
+  it("searches by vector similarity", async () => {
+    const { text, isError } = await call("search_documents", {
+      query: "go to jail",
+      nResults: 1,
+    });
+    assert.equal(isError, false);
+    assert.match(
+      text,
+      /^\[1\] rules\.md \(page 1, chunk 0\) relevance 0\.\d{3}\nGo directly to jail\.$/
+    );
+  });
+
+  it("applies sources and metadata filters", async () => {
+    const bySource = await call("search_documents", {
+      query: "go to jail",
+      sources: ["faq.md"],
+    });
+    assert.match(bySource.text, /^\[1\] faq\.md/);
+    assert.doesNotMatch(bySource.text, /rules\.md/);
+
+    const byPage = await call("search_documents", {
+      query: "go to jail",
+      filters: ["page>=2"],
+    });
+    assert.match(byPage.text, /Do not pass go\./);
+    assert.doesNotMatch(byPage.text, /jail|Hotels/);
+  });
+
+  it("lists sources and rebuilds documents", async () => {
+    assert.equal(
+      (await call("list_sources")).text,
+      "faq.md\t1 chunks\nrules.md\t2 chunks"
+    );
+    assert.equal(
+      (await call("get_document", { source: "rules.md" })).text,
+      "Go directly to jail.\n\nDo not pass go."
+    );
+    const missing = await call("get_document", { source: "nope.md" });
+    assert.equal(missing.isError, true);
+  });
+});
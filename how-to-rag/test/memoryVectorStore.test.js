@@ -0,0 +1,119 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createMemoryVectorStore } from "../lib/memoryVectorStore.js";
+
+const records = {
+  ids: ["a", "b", "c"],
+  embeddings: [
+    [1, 0],
+    [0, 1],
+    [0.8, 0.6],
+  ],
+  metadatas: [
+    { source: "a.md", page: 1 },
+    { source: "b.md", page: 2 },
+    { source: "a.md", page: 3 },
+  ],
+  documents: ["alpha", "beta", "gamma"],
+};
+
+describe("createMemoryVectorStore", () => {
+  let dir;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-store-"));
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("answers nearest-neighbour queries with filters", async () => {
+    const client = createMemoryVectorStore({ path: path.join(dir, "q.json") });
+    const collection = await client.createCollection({
+      name: "docs",
+      metadata: { "hnsw:space": "cosine" },
+    });
+    await collection.add(records);
+
+    const results = await collection.query({
+      queryEmbeddings: [[1, 0]],
+      nResults: 2,
+    });
+    assert.deepEqual(results.ids, [["a", "c"]]);
+    assert.ok(Math.abs(results.distances[0][1] - 0.2) < 1e-9);
+
+    const filtered = await collection.query({
+      queryEmbeddings: [[1, 0]],
+      nResults: 5,
+      where: { page: { $gte: 2 } },
+    });
+    assert.deepEqual(filtered.ids, [["c", "b"]]);
+    assert.deepEqual(filtered.documents, [["gamma", "beta"]]);
+  });
+
+  it("gets, updates and deletes like Chroma", async () => {
+    const client = createMemoryVectorStore();
+    const collection = await client.getOrCreateCollection({ name: "crud" });
+    await collection.add(records);
+    // add leaves existing IDs alone; upsert replaces them
+    await collection.add({ ...records, documents: ["x", "x", "x"] });
+    assert.deepEqual((await collection.get({ ids: ["a"] })).documents, [
+      "alpha",
+    ]);
+    await collection.upsert({
+      ids: ["a"],
+      embeddings: [[1, 0]],
+      documents: ["alpha 2"],
+    });
+    await collection.update({ ids: ["b"], metadatas: [{ source: "c.md" }] });
+
+    const page = await collection.get({
+      where: { source: "a.md" },
+      include: ["documents"],
+    });
+    assert.deepEqual(page.ids, ["c"]);
+    assert.equal(page.metadatas, null);
+    assert.deepEqual((await collection.get({ ids: ["a"] })).documents, [
+      "alpha 2",
+    ]);
+
+    assert.deepEqual(await collection.delete({ where: { source: "c.md" } }), [
+      "b",
+    ]);
+    assert.equal(await collection.count(), 2);
+    await client.deleteCollection({ name: "crud" });
+  });
+
+  it("refuses embeddings of another dimension", async () => {
+    const client = createMemoryVectorStore();
+    const collection = await client.createCollection({ name: "dims" });
+    await collection.add(records);
+    await assert.rejects(
+      collection.upsert({ ids: ["d"], embeddings: [[1, 0, 0]] }),
+      /does not match collection dimensionality 2/
+    );
+    await assert.rejects(
+      client.createCollection({ name: "dims" }),
+      /already exists/
+    );
+    await client.deleteCollection({ name: "dims" });
+  });
+
+  it("saves to its file and reloads in another store", async () => {
+    const file = path.join(dir, "saved.json");
+    const collection = await createMemoryVectorStore({
+      path: file,
+    }).createCollection({ name: "saved", metadata: { note: "kept" } });
+    await collection.add(records);
+    await collection.modify({ name: "renamed" });
+
+    const state = JSON.parse(await fs.readFile(file, "utf8"));
+    assert.deepEqual(Object.keys(state.collections), ["renamed"]);
+    assert.deepEqual(Object.keys(state.collections.renamed.records), [
+      "a",
+      "b",
+      "c",
+    ]);
+    assert.deepEqual(state.collections.renamed.metadata, { note: "kept" });
+  });
+});
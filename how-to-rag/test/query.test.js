@@ -0,0 +1,114 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { addToChroma } from "../lib/ingest.js";
+import {
+  DEFAULT_KEYWORD_WEIGHT,
+  getContext,
+  getRelevantChunks,
+} from "../lib/query.js";
+
+const chunk = (source, pageContent, chunkId = 0) => ({
+  pageContent,
+  metadata: { source, chunk_id: chunkId },
+});
+
+describe("getRelevantChunks", () => {
+  let options;
+  let keywordIndexDir;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    keywordIndexDir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-query-"));
+    options = {
+      url: "memory:",
+      collectionName: "query-test",
+      embedding: { provider: "fake" },
+      keywordIndexDir,
+    };
+    await addToChroma(
+      [
+        chunk("tools.json", "Softgen builds full stack web apps from a prompt"),
+        chunk("tools.json", "Cursor is an editor with an assistant", 1),
+        chunk("rules.md", "Go directly to jail and do not pass go"),
+        chunk("rules.md", "Pay rent to the owner of the property", 1),
+      ],
+      options
+    );
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await fs.rm(keywordIndexDir, { recursive: true, force: true });
+  });
+
+  it("blends keyword matches in by default", async () => {
+    assert.ok(DEFAULT_KEYWORD_WEIGHT > 0);
+    const [top] = await getRelevantChunks("Softgen", {
+      ...options,
+      nResults: 2,
+    });
+    assert.match(top.content, /^Softgen/);
+    assert.ok(top.keywordScore > 0);
+  });
+
+  it("re-scores a pool of exactly fetchK candidates", async () => {
+    const reranker = {
+      score: mock.fn(async (queryText, texts) => texts.map(() => 0)),
+    };
+    const results = await getRelevantChunks("rent", {
+      ...options,
+      keywordWeight: 0,
+      nResults: 1,
+      fetchK: 2,
+      rerank: reranker,
+    });
+    assert.equal(results.length, 1);
+    assert.equal(reranker.score.mock.calls[0].arguments[1].length, 2);
+  });
+
+  it("refuses a fetchK smaller than nResults", async () => {
+    await assert.rejects(
+      getRelevantChunks("rent", { ...options, nResults: 3, fetchK: 2 }),
+      /fetchK \(2\) must be at least nResults \(3\)/
+    );
+  });
+
+  it("holds keyword matches to minScore", async () => {
+    const keywordsOnly = { ...options, keywordWeight: 1 };
+    const [hit] = await getRelevantChunks("Softgen", keywordsOnly);
+    assert.match(hit.content, /^Softgen/);
+    assert.ok(hit.relevanceScore < 0.9);
+
+    const results = await getRelevantChunks("Softgen", {
+      ...keywordsOnly,
+      minScore: 0.9,
+    });
+    assert.deepEqual(results, []);
+  });
+
+  it("drops every result below minScore whichever ranking found it", async () => {
+    const results = await getRelevantChunks("pay rent for the property", {
+      ...options,
+      nResults: 4,
+      minScore: 0.6,
+    });
+    assert.ok(results.length > 0);
+    results.forEach((result) => assert.ok(result.relevanceScore >= 0.6));
+  });
+});
+
+describe("getContext", () => {
+  it("refuses to merge several collections", async () => {
+    await assert.rejects(
+      getContext("rent", {
+        url: "memory:",
+        collections: ["query-test", "other"],
+        embedding: { provider: "fake" },
+      }),
+      /pass collectionName instead of collections/
+    );
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRateLimiter,
+  isRetryableError,
+  mapWithConcurrency,
+  withRetry,
+} from "../lib/retry.js";
+
+const httpError = (status, headers) =>
+  Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+describe("isRetryableError", () => {
+  it("retries rate limits, server errors and dropped connections", () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(503)), true);
+    assert.equal(
+      isRetryableError(
+        Object.assign(new Error("reset"), { code: "ECONNRESET" })
+      ),
+      true
+    );
+    assert.equal(isRetryableError(new Error("fetch failed")), true);
+  });
+
+  it("does not retry bad requests", () => {
+    assert.equal(isRetryableError(httpError(400)), false);
+    assert.equal(isRetryableError(httpError(401)), false);
+    assert.equal(isRetryableError(new Error("invalid input")), false);
+  });
+});
+
+describe("withRetry", () => {
+  let delays;
+
+  beforeEach(() => {
+    delays = [];
+    mock.method(console, "warn", () => {});
+    mock.method(Math, "random", () => 1);
+    mock.method(globalThis, "setTimeout", (callback, ms) => {
+      delays.push(ms);
+      callback();
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  // Throws the given errors in turn, then succeeds
+  const failing = (errors) =>
+    mock.fn(async () => {
+      if (errors.length > 0) throw errors.shift();
+      return "ok";
+    });
+
+  it("backs off exponentially until the operation succeeds", async () => {
+    const operation = failing([httpError(503), httpError(503), httpError(503)]);
+    assert.equal(await withRetry(operation), "ok");
+    assert.equal(operation.mock.callCount(), 4);
+    assert.deepEqual(delays, [500, 1000, 2000]);
+  });
+
+  it("waits as long as Retry-After asks", async () => {
+    const operation = failing([httpError(429, { "retry-after": "7" })]);
+    await withRetry(operation);
+    assert.deepEqual(delays, [7000]);
+  });
+
+  it("reads Retry-After from fetch-style headers", async () => {
+    const headers = new Headers({ "retry-after": "3" });
+    await withRetry(failing([httpError(429, headers)]));
+    assert.deepEqual(delays, [3000]);
+  });
+
+  it("gives up after the configured retries", async () => {
+    const operation = failing([httpError(500), httpError(500), httpError(500)]);
+    await assert.rejects(withRetry(operation, { retries: 2 }), /HTTP 500/);
+    assert.equal(operation.mock.callCount(), 3);
+  });
+
+  it("fails fast on errors that are not worth retrying", async () => {
+    const operation = failing([httpError(400)]);
+    await assert.rejects(withRetry(operation), /HTTP 400/);
+    assert.equal(operation.mock.callCount(), 1);
+    assert.deepEqual(delays, []);
+  });
+
+  it("pauses the shared rate limiter on a 429", async () => {
+    const rateLimiter = { acquire: mock.fn(async () => {}), pause: mock.fn() };
+    await withRetry(failing([httpError(429, { "retry-after": "2" })]), {
+      rateLimiter,
+    });
+    assert.equal(rateLimiter.acquire.mock.callCount(), 2);
+    assert.deepEqual(rateLimiter.pause.mock.calls[0].arguments, [2000]);
+  });
+});
+
+describe("createRateLimiter", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("spaces requests to fit the per-minute budget", async () => {
+    const delays = [];
+    mock.method(Date, "now", () => 1000);
+    mock.method(globalThis, "setTimeout", (callback, ms) => {
+      delays.push(ms);
+      callback();
+    });
+    const limiter = createRateLimiter(120);
+    await limiter.acquire();
+    await limiter.acquire();
+    await limiter.acquire();
+    assert.deepEqual(delays, [500, 1000]);
+  });
+
+  it("holds every caller back while paused", async () => {
+    const delays = [];
+    mock.method(Date, "now", () => 1000);
+    mock.method(globalThis, "setTimeout", (callback, ms) => {
+      delays.push(ms);
+      callback();
+    });
+    const limiter = createRateLimiter();
+    await limiter.acquire();
+    limiter.pause(5000);
+    await limiter.acquire();
+    assert.deepEqual(delays, [5000]);
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("keeps at most the given number of operations in flight", async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency(
+      [30, 10, 20, 5, 15],
+      2,
+      async (ms, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        running--;
+        return index;
+      }
+    );
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  });
+
+  it("stops starting work after a failure and rejects with it", async () => {
+    const started = [];
+    await assert.rejects(
+      mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+        started.push(item);
+        if (item === 2) throw new Error("batch 2 failed");
+      }),
+      /batch 2 failed/
+    );
+    assert.deepEqual(started, [1, 2]);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeDistance, distanceToScore } from "../lib/scoring.js";
+
+describe("distanceToScore", () => {
+  it("maps each metric's distance range onto 0..1", () => {
+    assert.equal(distanceToScore(0, "l2"), 1);
+    assert.equal(distanceToScore(4, "l2"), 0);
+    assert.equal(distanceToScore(0, "cosine"), 1);
+    assert.equal(distanceToScore(2, "cosine"), 0);
+    assert.equal(distanceToScore(1, "ip"), 0.5);
+  });
+
+  it("defaults to l2 and clamps out-of-range distances", () => {
+    assert.equal(distanceToScore(2), 0.5);
+    assert.equal(distanceToScore(-0.001, "cosine"), 1);
+    assert.equal(distanceToScore(5, "l2"), 0);
+  });
+
+  it("scores a pair of unit vectors the same under every metric", () => {
+    const a = [0.6, 0.8, 0];
+    const b = [0, 0.6, 0.8];
+    const scores = ["l2", "cosine", "ip"].map((metric) =>
+      distanceToScore(computeDistance(a, b, metric), metric)
+    );
+    // cos = 0.48, so (1 + cos) / 2
+    scores.forEach((score) => assert.ok(Math.abs(score - 0.74) < 1e-9));
+  });
+});
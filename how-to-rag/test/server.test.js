@@ -0,0 +1,202 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { startServer } from "../lib/server.js";
+
+describe("HTTP API", () => {
+  let server;
+  let baseUrl;
+  let keywordIndexDir;
+
+  const post = async (route, body) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const assertBadRequest = async (route, body, message) => {
+    const { status, body: error } = await post(route, body);
+    assert.equal(status, 400, JSON.stringify(error));
+    assert.match(error.error.message, message);
+  };
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    keywordIndexDir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-server-"));
+    server = await startServer({
+      port: 0,
+      url: "memory:",
+      collectionName: "server-test",
+      embedding: { provider: "fake" },
+      provider: "stub",
+      keywordIndexDir,
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const { status } = await post("/ingest", {
+      files: [
+        { name: "rules.md", content: "# Jail\n\nGo directly to jail.\n" },
+        { name: "faq.txt", content: "Hotels cost more than houses." },
+      ],
+    });
+    assert.equal(status, 200);
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    mock.restoreAll();
+    await fs.rm(keywordIndexDir, { recursive: true, force: true });
+  });
+
+  describe("POST /ingest", () => {
+    it("rejects paths that are not non-empty strings", async () => {
+      await assertBadRequest("/ingest", { paths: [""] }, /"paths" must hold/);
+      await assertBadRequest("/ingest", { paths: [1] }, /"paths" must hold/);
+      await assertBadRequest("/ingest", { paths: "a.md" }, /must be arrays/);
+    });
+
+    it("rejects paths that match no files", async () => {
+      await assertBadRequest(
+        "/ingest",
+        { paths: [path.join(keywordIndexDir, "missing", "*.md")] },
+        /No files found to ingest/
+      );
+    });
+
+    it("rejects uploads with nothing to index", async () => {
+      await assertBadRequest(
+        "/ingest",
+        { files: [{ name: "empty.txt", content: "" }] },
+        /"empty.txt" is empty/
+      );
+      await assertBadRequest(
+        "/ingest",
+        { files: [{ name: "blank.md", content: "\n\n  \n" }] },
+        /No (content|chunks)/
+      );
+
+      const raw = await fetch(`${baseUrl}/ingest?filename=raw.txt`, {
+        method: "POST",
+        body: "",
+      });
+      assert.equal(raw.status, 400);
+    });
+
+    it("reports unchanged content on re-upload", async () => {
+      const { status, body } = await post("/ingest", {
+        files: [{ name: "faq.txt", content: "Hotels cost more than houses." }],
+      });
+      assert.equal(status, 200);
+      assert.deepEqual([body.added, body.unchanged], [0, 1]);
+    });
+  });
+
+  describe("POST /query", () => {
+    it("returns ranked chunks with filters applied", async () => {
+      const { status, body } = await post("/query", {
+        query: "jail",
+        source: "rules.md",
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.results.map((result) => result.source),
+        ["rules.md"]
+      );
+    });
+
+    it("rejects malformed retrieval fields", async () => {
+      await assertBadRequest(
+        "/query",
+        {},
+        /"query" must be a non-empty string/
+      );
+      await assertBadRequest(
+        "/query",
+        { query: "jail", nResults: "abc" },
+        /"nResults" must be a positive integer/
+      );
+      await assertBadRequest(
+        "/query",
+        { query: "jail", minScore: 2 },
+        /"minScore" must be a number from 0 to 1/
+      );
+      await assertBadRequest(
+        "/query",
+        { query: "jail", rerank: "bogus" },
+        /"rerank" must be one of/
+      );
+      await assertBadRequest(
+        "/query",
+        { query: "jail", rerankProvider: "nope" },
+        /"rerankProvider" must be one of openai, anthropic, stub/
+      );
+      await assertBadRequest(
+        "/query",
+        { query: "jail", fetchK: 3 },
+        /"fetchK" must be at least nResults \(5\)/
+      );
+      await assertBadRequest(
+        "/query",
+        { query: "jail", filters: ["page"] },
+        /Invalid filter/
+      );
+    });
+
+    it("rejects unknown where operators", async () => {
+      await assertBadRequest(
+        "/query",
+        { query: "jail", where: { $bad: 1 } },
+        /Unknown where operator \$bad/
+      );
+      await assertBadRequest(
+        "/query",
+        { query: "jail", where: { page: { $like: 1 } } },
+        /Unknown filter operator \$like/
+      );
+      const { status } = await post("/query", {
+        query: "jail",
+        where: { $or: [{ source: "rules.md" }, { page: { $gte: 1 } }] },
+      });
+      assert.equal(status, 200);
+    });
+  });
+
+  describe("POST /ask", () => {
+    it("answers with the configured chat model", async () => {
+      const { status, body } = await post("/ask", {
+        question: "What happens at jail?",
+        minRelevance: 0,
+      });
+      assert.equal(status, 200);
+      assert.equal(typeof body.answer, "string");
+      assert.ok(Array.isArray(body.citations));
+    });
+
+    it("rejects unknown providers with 400", async () => {
+      await assertBadRequest(
+        "/ask",
+        { question: "jail?", provider: "nope" },
+        /"provider" must be one of openai, anthropic, stub/
+      );
+      await assertBadRequest(
+        "/ask",
+        { question: "jail?", minRelevance: -1 },
+        /"minRelevance"/
+      );
+    });
+  });
+
+  it("answers unknown routes with 404 and wrong methods with 405", async () => {
+    assert.equal((await fetch(`${baseUrl}/nope`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/query`)).status, 405);
+    const health = await fetch(`${baseUrl}/health`);
+    assert.equal(health.status, 200);
+    assert.equal((await health.json()).collection.chunks, 2);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { ingest } from "../lib/ingest.js";
+import { getDocument, getRelevantChunks } from "../lib/query.js";
+import {
+  exportSnapshot,
+  importSnapshot,
+  readSnapshotHeader,
+} from "../lib/snapshot.js";
+import { listSources } from "../lib/sources.js";
+
+describe("snapshots", () => {
+  let dir;
+  const store = (collectionName, overrides = {}) => ({
+    url: "memory:",
+    collectionName,
+    embedding: { provider: "fake" },
+    keywordIndexDir: path.join(dir, "index"),
+    ...overrides,
+  });
+  const sourceNames = async (options) =>
+    (await listSources(options)).map(({ source }) => source).sort();
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-snapshot-"));
+    await fs.writeFile(
+      path.join(dir, "rules.md"),
+      "# Jail\n\nGo directly to jail and do not pass go.\n\n# Rent\n\nPay rent to the owner of the property.\n"
+    );
+    await fs.writeFile(
+      path.join(dir, "faq.md"),
+      "# Hotels\n\nBuy hotels once you own every street of a colour.\n"
+    );
+    await ingest(
+      [path.join(dir, "rules.md"), path.join(dir, "faq.md")],
+      store("snapshot-source")
+    );
+  });
+  after(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("round-trips chunks, embeddings and parents into another collection", async () => {
+    const file = path.join(dir, "all.jsonl");
+    const exported = await exportSnapshot(file, store("snapshot-source"));
+    assert.deepEqual(exported.sources.sort(), ["faq.md", "rules.md"]);
+    assert.ok(exported.chunks > 0);
+    assert.ok(exported.parents > 0);
+
+    const header = await readSnapshotHeader(file);
+    assert.equal(header.collection, "snapshot-source");
+    assert.equal(header.metadata.embedding_model, "fake-hash-256");
+
+    const copy = store("snapshot-copy");
+    const imported = await importSnapshot(file, copy);
+    assert.deepEqual(
+      [imported.collection, imported.chunks, imported.parents],
+      ["snapshot-copy", exported.chunks, exported.parents]
+    );
+    assert.deepEqual(await sourceNames(copy), ["faq.md", "rules.md"]);
+
+    const [top] = await getRelevantChunks("hotels colour street", copy);
+    assert.equal(top.source, "faq.md");
+    const original = await getDocument("rules.md", store("snapshot-source"));
+    assert.equal(
+      (await getDocument("rules.md", copy)).content,
+      original.content
+    );
+  });
+
+  it("exports chosen sources and replaces only those on import", async () => {
+    const file = path.join(dir, "faq.jsonl");
+    const exported = await exportSnapshot(
+      file,
+      store("snapshot-source", { sources: ["faq.md"] })
+    );
+    assert.deepEqual(exported.sources, ["faq.md"]);
+
+    const target = store("snapshot-partial");
+    await fs.writeFile(path.join(dir, "notes.md"), "Free parking pays out.\n");
+    await ingest(path.join(dir, "notes.md"), target);
+    await importSnapshot(file, target);
+    assert.deepEqual(await sourceNames(target), ["faq.md", "notes.md"]);
+
+    await assert.rejects(
+      exportSnapshot(
+        path.join(dir, "none.jsonl"),
+        store("snapshot-source", { sources: ["missing.md"] })
+      ),
+      /No chunks found for source: missing\.md/
+    );
+  });
+
+  it("refuses truncated snapshots before touching the collection", async () => {
+    const file = path.join(dir, "truncated.jsonl");
+    await exportSnapshot(file, store("snapshot-source"));
+    const lines = (await fs.readFile(file, "utf8")).trimEnd().split("\n");
+    await fs.writeFile(file, lines.slice(0, -1).join("\n") + "\n");
+
+    const target = store("snapshot-truncated");
+    await ingest(path.join(dir, "faq.md"), target);
+    const stored = await listSources(target);
+    await assert.rejects(importSnapshot(file, target), /is incomplete/);
+    assert.deepEqual(await listSources(target), stored);
+  });
+
+  it("refuses files that are not snapshots and other embedding models", async () => {
+    const notes = path.join(dir, "notes.jsonl");
+    await fs.writeFile(notes, '{"note":"hi"}\n');
+    await assert.rejects(
+      readSnapshotHeader(notes),
+      /not a collection snapshot/
+    );
+
+    const file = path.join(dir, "model.jsonl");
+    await exportSnapshot(file, store("snapshot-source"));
+    const other = store("snapshot-other-model", {
+      embedding: { provider: "fake", model: "fake-hash-64" },
+    });
+    await ingest(path.join(dir, "notes.md"), other);
+    await assert.rejects(importSnapshot(file, other), /fake-hash-64/);
+  });
+});
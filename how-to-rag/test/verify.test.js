@@ -0,0 +1,212 @@
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { addToChroma, buildChunkIds } from "../lib/ingest.js";
+import { createEmbeddings } from "../lib/embeddings.js";
+import { keywordIndexPath } from "../lib/keywordIndex.js";
+import { createMemoryVectorStore } from "../lib/memoryVectorStore.js";
+import {
+  describeVerificationFailures,
+  hashContent,
+  verifyIngestion,
+} from "../lib/verify.js";
+
+const chunk = (pageContent, source = "rules.md") => ({
+  pageContent,
+  metadata: { source },
+});
+
+describe("verifyIngestion", () => {
+  let collection;
+  let count = 0;
+  const chunks = [chunk("Go to jail."), chunk("Pay rent.")];
+  const ids = buildChunkIds(chunks);
+
+  // Stores records as an ingestion would, with per-record overrides
+  const store = (overrides = {}) =>
+    collection.add({
+      ids: overrides.ids ?? ids,
+      embeddings: overrides.embeddings ?? ids.map(() => [1, 0]),
+      metadatas:
+        overrides.metadatas ??
+        chunks.map(({ pageContent, metadata }) => ({
+          ...metadata,
+          content_hash: hashContent(pageContent),
+        })),
+      documents: overrides.documents ?? chunks.map((c) => c.pageContent),
+    });
+
+  beforeEach(async () => {
+    collection = await createMemoryVectorStore().createCollection({
+      name: `verify-test-${++count}`,
+    });
+  });
+
+  it("passes when every chunk is stored intact", async () => {
+    await store();
+    const report = await verifyIngestion(collection, chunks, ids, 2);
+    assert.equal(report.ok, true);
+    assert.deepEqual([report.expected, report.stored], [2, 2]);
+    assert.deepEqual(describeVerificationFailures(report), []);
+  });
+
+  it("reports missing chunks and altered content", async () => {
+    await store({
+      ids: [ids[0]],
+      embeddings: [[1, 0]],
+      metadatas: [
+        { source: "rules.md", content_hash: hashContent("Go to jail.") },
+      ],
+      documents: ["Go to jail now."],
+    });
+    const report = await verifyIngestion(collection, chunks, ids, 2);
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.missing, [ids[1]]);
+    assert.deepEqual(report.hashMismatches, [ids[0]]);
+    assert.deepEqual(describeVerificationFailures(report), [
+      `1 chunks missing: ${ids[1]}`,
+      `1 chunks with content differing from their hash: ${ids[0]}`,
+    ]);
+  });
+
+  it("reports embeddings of the wrong dimension", async () => {
+    await store();
+    const report = await verifyIngestion(collection, chunks, ids, 3);
+    assert.deepEqual(report.badEmbeddings, ids);
+  });
+
+  it("reports chunks the documents did not produce, and duplicates", async () => {
+    await store();
+    await collection.add({
+      ids: ["stale"],
+      embeddings: [[0, 1]],
+      metadatas: [
+        { source: "rules.md", content_hash: hashContent("Pay rent.") },
+      ],
+      documents: ["Pay rent."],
+    });
+    const report = await verifyIngestion(collection, chunks, ids, 2);
+    assert.deepEqual(report.unexpected, ["stale"]);
+    assert.deepEqual(report.duplicates, [
+      {
+        source: "rules.md",
+        contentHash: hashContent("Pay rent."),
+        expected: 1,
+        stored: 2,
+      },
+    ]);
+  });
+
+  it("ignores other sources", async () => {
+    await store();
+    await collection.add({
+      ids: ["faq"],
+      embeddings: [[0, 1]],
+      metadatas: [{ source: "faq.md" }],
+      documents: ["Buy hotels."],
+    });
+    const report = await verifyIngestion(collection, chunks, ids, 2);
+    assert.equal(report.ok, true);
+  });
+
+  it("lists a handful of IDs per failure and counts the rest", () => {
+    const missing = Array.from({ length: 8 }, (_, idx) => `id${idx}`);
+    const [line] = describeVerificationFailures({
+      missing,
+      hashMismatches: [],
+      badEmbeddings: [],
+      unexpected: [],
+      duplicates: [],
+    });
+    assert.equal(line, "8 chunks missing: id0, id1, id2, id3, id4 and 3 more");
+  });
+});
+
+describe("addToChroma verification", () => {
+  let keywordIndexDir;
+  let count = 0;
+  let options;
+
+  before(async () => {
+    keywordIndexDir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-verify-"));
+  });
+  after(() => fs.rm(keywordIndexDir, { recursive: true, force: true }));
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    options = {
+      url: "memory:",
+      collectionName: `verify-ingest-${++count}`,
+      embedding: { provider: "fake" },
+      keywordIndexDir,
+    };
+  });
+  afterEach(() => mock.restoreAll());
+
+  // Fake embedder that stores NaN vectors for the given text
+  const corrupting = (text) => {
+    const embedding = createEmbeddings({ provider: "fake" });
+    const embedDocuments = embedding.embedDocuments.bind(embedding);
+    mock.method(embedding, "embedDocuments", async (texts) =>
+      (await embedDocuments(texts)).map((vector, idx) =>
+        texts[idx] === text ? vector.map(() => NaN) : vector
+      )
+    );
+    return embedding;
+  };
+
+  const original = [chunk("Go to jail."), chunk("Pay rent.")];
+  const edited = [chunk("Go to jail."), chunk("Roll doubles.")];
+
+  it("fails with the report when stored chunks do not check out", async () => {
+    await assert.rejects(
+      addToChroma(edited, {
+        ...options,
+        embedding: corrupting("Roll doubles."),
+      }),
+      (error) => {
+        assert.equal(error.message, "Verification failed for 1 checks");
+        assert.deepEqual(error.verification.badEmbeddings, [
+          buildChunkIds(edited)[1],
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it("restores the sources and keyword index with rollback", async () => {
+    await addToChroma(original, options);
+
+    await assert.rejects(
+      addToChroma(edited, {
+        ...options,
+        embedding: corrupting("Roll doubles."),
+        rollback: true,
+      }),
+      /the ingestion was rolled back/
+    );
+
+    const again = await addToChroma(original, options);
+    assert.deepEqual(
+      [again.added, again.updated, again.unchanged, again.removed],
+      [0, 0, 2, 0]
+    );
+    const index = JSON.parse(
+      await fs.readFile(keywordIndexPath(options), "utf8")
+    );
+    assert.deepEqual(
+      Object.keys(index.documents).sort(),
+      buildChunkIds(original).sort()
+    );
+  });
+});